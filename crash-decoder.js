@@ -0,0 +1,704 @@
+// ================================
+// Crash dump decoder
+// ================================
+// Spots ESP32 "Guru Meditation Error" / abort() dumps and ESP8266
+// "Exception (n)" dumps in serial output, explains the cause and maps code
+// addresses to functions and source lines using the app's ELF file (symbol
+// table + DWARF line table) or a text symbol file from `nm`.
+
+// ---------- DUMP DETECTION ----------
+
+const CRASH_START = /Guru Meditation Error|^Exception \(\d+\):|abort\(\) was called at PC|^assert failed:|^\*\*\*ERROR\*\*\* A stack overflow|^Backtrace:\s*0x/;
+const CRASH_END = /^Rebooting\.\.\.|<<<stack<<<|^CPU halted|^ets [A-Z][a-z]{2}\s/;
+
+// Collects the lines of one dump. The dump ends at the reboot banner, or
+// when the device goes quiet for idleMs.
+export class CrashCollector {
+    constructor(onDump, { idleMs = 1500, maxLines = 150 } = {}) {
+        this.onDump = onDump;
+        this.idleMs = idleMs;
+        this.maxLines = maxLines;
+        this._lines = null;
+        this._last = null;
+        this._timer = null;
+    }
+
+    // ref is handed back with the dump so the caller knows where it ended
+    feed(text, ref = null) {
+        const line = text.trim();
+        if (!this._lines) {
+            if (!CRASH_START.test(line)) return;
+            this._lines = [];
+        }
+        this._lines.push(line);
+        this._last = ref;
+        if (CRASH_END.test(line) || this._lines.length >= this.maxLines) {
+            this._finish();
+        } else {
+            clearTimeout(this._timer);
+            this._timer = setTimeout(() => this._finish(), this.idleMs);
+        }
+    }
+
+    reset() {
+        clearTimeout(this._timer);
+        this._lines = null;
+        this._last = null;
+    }
+
+    _finish() {
+        clearTimeout(this._timer);
+        const lines = this._lines;
+        const ref = this._last;
+        this.reset();
+        if (lines) this.onDump(lines, ref);
+    }
+}
+
+// ---------- DUMP PARSING ----------
+
+export function parseCrashDump(lines) {
+    const crash = {
+        arch: null,
+        core: null,
+        reason: null,
+        cause: null,
+        registers: {},
+        backtrace: [],
+        backtraceCorrupted: false,
+        abortPc: null,
+        stack: [],
+        elfSha: null
+    };
+    let m;
+    let inStack = false;
+
+    for (const line of lines) {
+        if ((m = line.match(/Guru Meditation Error: Core\s+(\d+) panic'ed \(([^)]+)\)/))) {
+            crash.core = Number(m[1]);
+            crash.reason = m[2];
+        } else if ((m = line.match(/^Exception \((\d+)\):/))) {
+            crash.arch = "esp8266";
+            crash.cause = Number(m[1]);
+        } else if ((m = line.match(/abort\(\) was called at PC (0x[0-9a-f]+)(?: on core (\d+))?/i))) {
+            crash.reason ??= "abort()";
+            crash.abortPc = parseInt(m[1], 16);
+            if (m[2] !== undefined) crash.core = Number(m[2]);
+        } else if ((m = line.match(/^assert failed: (.*)/))) {
+            crash.reason ??= `assert failed: ${m[1]}`;
+        } else if ((m = line.match(/^\*\*\*ERROR\*\*\* A stack overflow in task (\S+)/))) {
+            crash.reason ??= `Stack overflow in task ${m[1]}`;
+        } else if (/^Backtrace:/.test(line)) {
+            crash.backtrace = [...line.matchAll(/0x([0-9a-f]{8}):0x[0-9a-f]{8}/gi)].map(x => parseInt(x[1], 16));
+            crash.backtraceCorrupted = /CORRUPTED/.test(line);
+        } else if ((m = line.match(/ELF file SHA256:\s*([0-9a-f]{8,64})/i))) {
+            crash.elfSha = m[1].toLowerCase();
+        } else if (/>>>stack>>>|^Stack memory:/.test(line)) {
+            inStack = true;
+        } else if (/<<<stack<<</.test(line)) {
+            inStack = false;
+        } else if (inStack && (m = line.match(/^[0-9a-f]{8}:\s+(.*)$/i))) {
+            for (const word of m[1].matchAll(/(?:0x)?([0-9a-f]{8})\b/gi)) crash.stack.push(parseInt(word[1], 16));
+        } else {
+            for (const reg of line.matchAll(/\b(epc1|epc2|epc3|excvaddr|depc)=0x([0-9a-f]{8})\b/g)) {
+                crash.registers[reg[1]] = parseInt(reg[2], 16);
+            }
+            for (const reg of line.matchAll(/\b([A-Z][A-Z0-9]{0,8})\s*:\s*0x([0-9a-f]{8})\b/gi)) {
+                crash.registers[reg[1].toUpperCase()] = parseInt(reg[2], 16);
+            }
+        }
+    }
+
+    if (!crash.arch) {
+        if ("MEPC" in crash.registers || "MCAUSE" in crash.registers) crash.arch = "riscv";
+        else if ("epc1" in crash.registers) crash.arch = "esp8266";
+        else crash.arch = "xtensa";
+    }
+    if (crash.cause === null) {
+        if (crash.arch === "xtensa" && "EXCCAUSE" in crash.registers) crash.cause = crash.registers.EXCCAUSE;
+        if (crash.arch === "riscv" && "MCAUSE" in crash.registers) crash.cause = crash.registers.MCAUSE;
+    }
+    return crash;
+}
+
+// ---------- CAUSES AND REGISTERS ----------
+
+// Xtensa EXCCAUSE values; the ESP8266 "Exception (n)" number uses the same table
+export const XTENSA_EXCEPTIONS = {
+    0: "IllegalInstruction",
+    1: "Syscall",
+    2: "InstructionFetchError",
+    3: "LoadStoreError",
+    4: "Level1Interrupt",
+    5: "Alloca",
+    6: "IntegerDivideByZero",
+    8: "Privileged",
+    9: "LoadStoreAlignment",
+    12: "InstrPIFDataError",
+    13: "LoadStorePIFDataError",
+    14: "InstrPIFAddrError",
+    15: "LoadStorePIFAddrError",
+    16: "InstTLBMiss",
+    17: "InstTLBMultiHit",
+    18: "InstFetchPrivilege",
+    20: "InstrFetchProhibited",
+    24: "LoadStoreTLBMiss",
+    25: "LoadStoreTLBMultiHit",
+    26: "LoadStorePrivilege",
+    28: "LoadProhibited",
+    29: "StoreProhibited"
+};
+
+export const RISCV_EXCEPTIONS = {
+    0: "Instruction address misaligned",
+    1: "Instruction access fault",
+    2: "Illegal instruction",
+    3: "Breakpoint",
+    4: "Load address misaligned",
+    5: "Load access fault",
+    6: "Store address misaligned",
+    7: "Store access fault",
+    8: "Environment call from U-mode",
+    11: "Environment call from M-mode"
+};
+
+// Matched against the lower-cased panic reason or exception name
+const CAUSE_HINTS = [
+    [/loadprohibited|load access fault/, "Read from an invalid address, usually a null or dangling pointer."],
+    [/storeprohibited|store access fault/, "Write to an invalid address, usually a null or dangling pointer."],
+    [/instrfetchprohibited|instruction access fault|instructionfetcherror/, "Jumped to an address that holds no code: a bad function pointer or a corrupted stack."],
+    [/illegalinstruction|illegal instruction/, "Executed an invalid instruction: a corrupted function pointer or stack, or a function missing its return value."],
+    [/integerdividebyzero/, "Integer division by zero."],
+    [/alignment|misaligned/, "Unaligned memory access, often through a cast or a packed struct."],
+    [/interrupt wdt timeout/, "Interrupt watchdog: an ISR or a critical section ran for too long."],
+    [/stack canary|stack overflow/, "A task overflowed its stack; give it a bigger stack or use less of it."],
+    [/double exception/, "An exception occurred while handling another one, most often a stack overflow."],
+    [/cache disabled/, "Flash-resident code or data was used while the flash cache was off; ISR code needs IRAM_ATTR."],
+    [/unhandled debug exception/, "Debug exception, typically a stack canary or watchpoint hit."],
+    [/^abort\(\)|assert failed/, "abort() was called: a failed assert, out of memory, or an uncaught C++ exception."]
+];
+
+const REGISTER_NOTES = {
+    PC: "program counter at the fault",
+    A0: "return address",
+    A1: "stack pointer",
+    EXCVADDR: "address being accessed",
+    MEPC: "program counter at the fault",
+    RA: "return address",
+    SP: "stack pointer",
+    MTVAL: "faulting address or instruction",
+    epc1: "program counter at the exception",
+    excvaddr: "address being accessed",
+    depc: "program counter before a double exception"
+};
+
+const KEY_REGISTERS = {
+    xtensa: ["PC", "A0", "EXCVADDR"],
+    riscv: ["MEPC", "RA", "MTVAL"],
+    esp8266: ["epc1", "excvaddr", "depc"]
+};
+
+const CODE_REGISTERS = ["PC", "A0", "MEPC", "RA", "epc1", "depc"];
+
+export function causeName(crash) {
+    if (crash.cause === null) return null;
+    const table = crash.arch === "riscv" ? RISCV_EXCEPTIONS : XTENSA_EXCEPTIONS;
+    return table[crash.cause] || `cause ${crash.cause}`;
+}
+
+export function causeHint(crash) {
+    const key = `${crash.reason || ""} ${causeName(crash) || ""}`.toLowerCase().trim();
+    return CAUSE_HINTS.find(([pattern]) => pattern.test(key))?.[1] || null;
+}
+
+// Windowed-call return addresses keep the call size in the top two bits
+function xtensaCodeAddress(value) {
+    return ((value & 0xC0000000) >>> 0) === 0x80000000 ? ((value & 0x3FFFFFFF) | 0x40000000) >>> 0 : value;
+}
+
+function describeDataAddress(value) {
+    if (value < 0x1000) return value === 0 ? "null pointer" : `null pointer + 0x${value.toString(16)}`;
+    return null;
+}
+
+// ---------- REPORT ----------
+
+export function hex32(value) {
+    return "0x" + (value >>> 0).toString(16).padStart(8, "0");
+}
+
+function formatLocation(address, symbols) {
+    const hit = symbols?.lookup(address);
+    if (!hit) return "??";
+    const where = hit.file ? ` at ${shortenPath(hit.file)}:${hit.line}` : "";
+    return `${hit.name || "??"}${where}`;
+}
+
+function shortenPath(path) {
+    const parts = path.split(/[\\/]/).filter(Boolean);
+    return parts.slice(-2).join("/");
+}
+
+// Plain text lines, ready to be shown in the terminal and saved with the log.
+// sourceLabel names where the symbols came from.
+export function formatCrashReport(crash, symbols = null, sourceLabel = "") {
+    const out = [];
+    out.push(`──── Crash decoded${sourceLabel ? ` · ${sourceLabel}` : ""} ────`);
+
+    const name = causeName(crash);
+    if (crash.reason) out.push(`Reason:  ${crash.reason}${crash.core !== null ? ` on core ${crash.core}` : ""}`);
+    if (name && name !== crash.reason) {
+        out.push(`Cause:   ${name} (${crash.arch === "riscv" ? "MCAUSE" : "EXCCAUSE"} ${crash.cause})`);
+    }
+    const hint = causeHint(crash);
+    if (hint) out.push(`         ${hint}`);
+
+    for (const reg of KEY_REGISTERS[crash.arch] || []) {
+        if (!(reg in crash.registers)) continue;
+        let value = crash.registers[reg];
+        if (crash.arch === "xtensa" && reg === "A0") value = xtensaCodeAddress(value);
+        if (reg === "depc" && value === 0) continue;
+        const note = REGISTER_NOTES[reg];
+        let detail;
+        if (CODE_REGISTERS.includes(reg)) {
+            detail = symbols ? formatLocation(value, symbols) : note;
+        } else {
+            detail = [note, describeDataAddress(value)].filter(Boolean).join(", ");
+        }
+        out.push(`${reg.padEnd(8)} ${hex32(value)}  ${detail}`);
+    }
+
+    if (crash.abortPc !== null) {
+        out.push(`abort()  ${hex32(crash.abortPc)}  ${symbols ? formatLocation(crash.abortPc, symbols) : "caller of abort()"}`);
+    }
+
+    if (crash.backtrace.length) {
+        out.push("Backtrace:");
+        crash.backtrace.forEach((pc, i) => {
+            out.push(`  #${String(i).padEnd(2)} ${hex32(pc)}  ${symbols ? formatLocation(pc, symbols) : ""}`.trimEnd());
+        });
+        if (crash.backtraceCorrupted) out.push("  (backtrace corrupted beyond this point)");
+    } else if (crash.stack.length && symbols) {
+        // No unwinder output: stack words that land inside functions are likely return addresses
+        const callers = [];
+        for (const word of crash.stack) {
+            const hit = symbols.lookup(word);
+            if (hit?.name) callers.push(word);
+            if (callers.length >= 16) break;
+        }
+        if (callers.length) {
+            out.push("Possible callers (from stack contents):");
+            for (const pc of callers) out.push(`  ${hex32(pc)}  ${formatLocation(pc, symbols)}`);
+        }
+    }
+
+    if (!symbols) out.push("No symbols loaded: pick the firmware build under Symbols to map addresses.");
+    out.push("─".repeat(24));
+    return out;
+}
+
+// ---------- SYMBOL FILES ----------
+
+// Sorted function ranges plus an optional DWARF line table
+export class SymbolTable {
+    constructor(functions, lines = null) {
+        functions.sort((a, b) => a.address - b.address);
+        this.functions = functions;
+        this.lines = lines;
+    }
+
+    lookup(address) {
+        const fn = this._function(address);
+        const line = this.lines?.lookup(address);
+        if (!fn && !line) return null;
+        return {
+            name: fn?.name || null,
+            offset: fn ? address - fn.address : 0,
+            file: line?.file || fn?.file || null,
+            line: line?.line || fn?.line || null
+        };
+    }
+
+    _function(address) {
+        const fns = this.functions;
+        let lo = 0;
+        let hi = fns.length - 1;
+        let found = -1;
+        while (lo <= hi) {
+            const mid = (lo + hi) >> 1;
+            if (fns[mid].address <= address) {
+                found = mid;
+                lo = mid + 1;
+            } else {
+                hi = mid - 1;
+            }
+        }
+        if (found === -1) return null;
+        const fn = fns[found];
+        return !fn.size || address < fn.address + fn.size ? fn : null;
+    }
+}
+
+// Accepts an ELF file or the text output of `nm -nSC --line-numbers`
+export function loadSymbolFile(buffer) {
+    const bytes = new Uint8Array(buffer);
+    if (bytes[0] === 0x7F && bytes[1] === 0x45 && bytes[2] === 0x4C && bytes[3] === 0x46) {
+        return parseElfSymbols(bytes);
+    }
+    return parseNmSymbols(new TextDecoder().decode(bytes));
+}
+
+// "400d1234 00000040 T loop()	/path/ESPTimeCast.ino:123"
+export function parseNmSymbols(text) {
+    const functions = [];
+    for (const line of text.split(/\r?\n/)) {
+        const m = line.match(/^([0-9a-f]{8})\s+(?:([0-9a-f]{8})\s+)?[tTwW]\s+([^\t]+?)(?:\t(.+):(\d+))?\s*$/i);
+        if (!m) continue;
+        functions.push({
+            address: parseInt(m[1], 16),
+            size: m[2] ? parseInt(m[2], 16) : 0,
+            name: demangle(m[3]),
+            file: m[4] || null,
+            line: m[5] ? Number(m[5]) : null
+        });
+    }
+    if (!functions.length) throw new Error("No function symbols found");
+    return new SymbolTable(functions);
+}
+
+// ---------- ELF ----------
+
+const SHT_SYMTAB = 2;
+const STT_FUNC = 2;
+
+export function parseElfSymbols(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (bytes[4] !== 1 || bytes[5] !== 1) throw new Error("Only little-endian 32-bit ELF files are supported");
+
+    const shoff = view.getUint32(0x20, true);
+    const shentsize = view.getUint16(0x2E, true);
+    const shnum = view.getUint16(0x30, true);
+    const shstrndx = view.getUint16(0x32, true);
+    const sections = [];
+    for (let i = 0; i < shnum; i++) {
+        const base = shoff + i * shentsize;
+        sections.push({
+            nameOffset: view.getUint32(base, true),
+            type: view.getUint32(base + 4, true),
+            offset: view.getUint32(base + 16, true),
+            size: view.getUint32(base + 20, true),
+            link: view.getUint32(base + 24, true),
+            entsize: view.getUint32(base + 36, true)
+        });
+    }
+    const shstr = sections[shstrndx];
+    for (const s of sections) s.name = cString(bytes, shstr.offset + s.nameOffset);
+    const data = s => bytes.subarray(s.offset, s.offset + s.size);
+    const byName = name => sections.find(s => s.name === name);
+
+    const functions = [];
+    for (const symtab of sections.filter(s => s.type === SHT_SYMTAB)) {
+        const strtab = sections[symtab.link];
+        const entsize = symtab.entsize || 16;
+        for (let pos = symtab.offset; pos + entsize <= symtab.offset + symtab.size; pos += entsize) {
+            if ((bytes[pos + 12] & 0x0F) !== STT_FUNC) continue;
+            const address = view.getUint32(pos + 4, true);
+            if (!address) continue;
+            functions.push({
+                address: address & ~1,  // Thumb-style low bit, should a toolchain set it
+                size: view.getUint32(pos + 8, true),
+                name: demangle(cString(bytes, strtab.offset + view.getUint32(pos, true)))
+            });
+        }
+    }
+
+    let lines = null;
+    const debugLine = byName(".debug_line");
+    if (debugLine) {
+        try {
+            const lineStr = byName(".debug_line_str");
+            const str = byName(".debug_str");
+            lines = parseDebugLine(data(debugLine), lineStr && data(lineStr), str && data(str));
+        } catch (e) {
+            console.warn("DWARF line table unreadable:", e);
+        }
+    }
+    if (!functions.length && !lines) throw new Error("ELF file has no symbols");
+    return new SymbolTable(functions, lines);
+}
+
+function cString(bytes, offset) {
+    let end = offset;
+    while (end < bytes.length && bytes[end] !== 0) end++;
+    return new TextDecoder().decode(bytes.subarray(offset, end));
+}
+
+// ---------- DWARF LINE TABLE ----------
+
+class ByteReader {
+    constructor(bytes, pos = 0) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.pos = pos;
+    }
+    u8() { return this.bytes[this.pos++]; }
+    i8() { const v = this.view.getInt8(this.pos); this.pos += 1; return v; }
+    u16() { const v = this.view.getUint16(this.pos, true); this.pos += 2; return v; }
+    u32() { const v = this.view.getUint32(this.pos, true); this.pos += 4; return v; }
+    u64() { const lo = this.u32(); const hi = this.u32(); return hi * 0x100000000 + lo; }
+    uleb() {
+        let result = 0;
+        let mul = 1;
+        for (; ;) {
+            const b = this.u8();
+            result += (b & 0x7F) * mul;
+            mul *= 128;
+            if (!(b & 0x80)) return result;
+        }
+    }
+    sleb() {
+        let result = 0;
+        let mul = 1;
+        let b;
+        do {
+            b = this.u8();
+            result += (b & 0x7F) * mul;
+            mul *= 128;
+        } while (b & 0x80);
+        return b & 0x40 ? result - mul : result;
+    }
+    cstr() {
+        const s = cString(this.bytes, this.pos);
+        while (this.bytes[this.pos] !== 0) this.pos++;
+        this.pos++;
+        return s;
+    }
+}
+
+const DW_LNCT_PATH = 1;
+const DW_LNCT_DIRECTORY_INDEX = 2;
+
+function readForm(r, form, offsetSize, lineStr, str) {
+    switch (form) {
+        case 0x08: return r.cstr();                                             // string
+        case 0x1F: return cString(lineStr, offsetSize === 8 ? r.u64() : r.u32()); // line_strp
+        case 0x0E: return cString(str, offsetSize === 8 ? r.u64() : r.u32());     // strp
+        case 0x0B: return r.u8();                                               // data1
+        case 0x05: return r.u16();                                              // data2
+        case 0x06: return r.u32();                                              // data4
+        case 0x07: return r.u64();                                              // data8
+        case 0x0F: return r.uleb();                                             // udata
+        case 0x1E: r.pos += 16; return null;                                    // data16 (MD5)
+        case 0x09: r.pos += r.uleb(); return null;                              // block
+        default: throw new Error(`Unsupported DWARF form 0x${form.toString(16)}`);
+    }
+}
+
+function joinPath(dir, name) {
+    if (!dir || /^([\\/]|[A-Za-z]:)/.test(name)) return name;
+    return `${dir.replace(/[\\/]$/, "")}/${name}`;
+}
+
+// Runs every line-number program (DWARF 2-5) and returns a lookup over the
+// resulting address → file:line rows.
+export function parseDebugLine(section, lineStr = null, str = null) {
+    const files = [];
+    const fileIds = new Map();
+    const addresses = [];
+    const lineNumbers = [];
+    const fileRefs = [];        // -1 marks the end of a sequence
+    const fileId = name => {
+        if (!fileIds.has(name)) {
+            fileIds.set(name, files.length);
+            files.push(name);
+        }
+        return fileIds.get(name);
+    };
+
+    let offset = 0;
+    while (offset + 4 <= section.length) {
+        const r = new ByteReader(section, offset);
+        let unitLength = r.u32();
+        let offsetSize = 4;
+        if (unitLength === 0xFFFFFFFF) {
+            unitLength = r.u64();
+            offsetSize = 8;
+        }
+        const end = r.pos + unitLength;
+        const version = r.u16();
+        let addressSize = 4;
+        if (version >= 5) {
+            addressSize = r.u8();
+            r.u8(); // segment selector size
+        }
+        const headerLength = offsetSize === 8 ? r.u64() : r.u32();
+        const programStart = r.pos + headerLength;
+        const minInstLength = r.u8();
+        if (version >= 4) r.u8();   // maximum_operations_per_instruction
+        r.u8();                     // default_is_stmt
+        const lineBase = r.i8();
+        const lineRange = r.u8();
+        const opcodeBase = r.u8();
+        const standardLengths = [0];
+        for (let i = 1; i < opcodeBase; i++) standardLengths.push(r.u8());
+
+        let fileNames;
+        if (version >= 5) {
+            const readEntries = () => {
+                const formatCount = r.u8();
+                const format = [];
+                for (let i = 0; i < formatCount; i++) format.push([r.uleb(), r.uleb()]);
+                const count = r.uleb();
+                const entries = [];
+                for (let i = 0; i < count; i++) {
+                    const entry = {};
+                    for (const [type, form] of format) {
+                        const value = readForm(r, form, offsetSize, lineStr, str);
+                        if (type === DW_LNCT_PATH) entry.path = value;
+                        else if (type === DW_LNCT_DIRECTORY_INDEX) entry.dir = value;
+                    }
+                    entries.push(entry);
+                }
+                return entries;
+            };
+            const dirs = readEntries().map(e => e.path);
+            fileNames = readEntries().map(e => joinPath(dirs[e.dir || 0], e.path || "?"));
+        } else {
+            const dirs = [""];
+            for (let d = r.cstr(); d; d = r.cstr()) dirs.push(d);
+            fileNames = [null];     // file numbers start at 1 before DWARF 5
+            for (let name = r.cstr(); name; name = r.cstr()) {
+                const dir = r.uleb();
+                r.uleb();
+                r.uleb();
+                fileNames.push(joinPath(dirs[dir], name));
+            }
+        }
+
+        r.pos = programStart;
+        let address = 0;
+        let file = 1;
+        let line = 1;
+        const emit = () => {
+            addresses.push(address);
+            lineNumbers.push(line);
+            fileRefs.push(fileId(fileNames[file] || "?"));
+        };
+        const reset = () => {
+            address = 0;
+            file = 1;
+            line = 1;
+        };
+
+        while (r.pos < end) {
+            const op = r.u8();
+            if (op >= opcodeBase) {
+                const adjusted = op - opcodeBase;
+                address += Math.floor(adjusted / lineRange) * minInstLength;
+                line += lineBase + (adjusted % lineRange);
+                emit();
+            } else if (op === 0) {
+                const length = r.uleb();
+                const next = r.pos + length;
+                const sub = r.u8();
+                if (sub === 1) {            // end_sequence
+                    addresses.push(address);
+                    lineNumbers.push(0);
+                    fileRefs.push(-1);
+                    reset();
+                } else if (sub === 2) {     // set_address
+                    address = addressSize === 8 ? r.u64() : r.u32();
+                } else if (sub === 3) {     // define_file
+                    const name = r.cstr();
+                    r.uleb();
+                    fileNames.push(name);
+                }
+                r.pos = next;
+            } else if (op === 1) {          // copy
+                emit();
+            } else if (op === 2) {          // advance_pc
+                address += r.uleb() * minInstLength;
+            } else if (op === 3) {          // advance_line
+                line += r.sleb();
+            } else if (op === 4) {          // set_file
+                file = r.uleb();
+            } else if (op === 8) {          // const_add_pc
+                address += Math.floor((255 - opcodeBase) / lineRange) * minInstLength;
+            } else if (op === 9) {          // fixed_advance_pc
+                address += r.u16();
+            } else {
+                for (let i = 0; i < standardLengths[op]; i++) r.uleb();
+            }
+        }
+        offset = end;
+    }
+
+    // Sort rows by address; at equal addresses a sequence end sorts first so
+    // the next sequence's first row wins
+    const order = Array.from(addresses.keys()).sort((a, b) =>
+        addresses[a] - addresses[b] || (fileRefs[a] === -1 ? -1 : 0) - (fileRefs[b] === -1 ? -1 : 0));
+    const sortedAddresses = Uint32Array.from(order, i => addresses[i]);
+    const sortedLines = Uint32Array.from(order, i => lineNumbers[i]);
+    const sortedFiles = Int32Array.from(order, i => fileRefs[i]);
+
+    return {
+        lookup(target) {
+            let lo = 0;
+            let hi = sortedAddresses.length - 1;
+            let found = -1;
+            while (lo <= hi) {
+                const mid = (lo + hi) >> 1;
+                if (sortedAddresses[mid] <= target) {
+                    found = mid;
+                    lo = mid + 1;
+                } else {
+                    hi = mid - 1;
+                }
+            }
+            if (found === -1 || sortedFiles[found] === -1) return null;
+            return { file: files[sortedFiles[found]], line: sortedLines[found] };
+        }
+    };
+}
+
+// ---------- C++ NAMES ----------
+
+// Enough of the Itanium ABI to turn _ZN5Class6methodEv into Class::method().
+// Templates, operators and anything unusual are returned as-is.
+export function demangle(name) {
+    if (!name.startsWith("_Z")) return name;
+    let pos = 2;
+    const readSource = () => {
+        const m = name.slice(pos).match(/^(\d+)/);
+        if (!m) return null;
+        pos += m[1].length;
+        const id = name.slice(pos, pos + Number(m[1]));
+        pos += Number(m[1]);
+        return id;
+    };
+
+    if (name[pos] === "N") {
+        pos++;
+        while ("KVr".includes(name[pos])) pos++;
+        const parts = [];
+        while (pos < name.length && name[pos] !== "E") {
+            if (name.startsWith("St", pos)) {
+                parts.push("std");
+                pos += 2;
+            } else if (/\d/.test(name[pos])) {
+                parts.push(readSource());
+            } else if (name[pos] === "C" && /[123]/.test(name[pos + 1])) {
+                parts.push(parts[parts.length - 1]);
+                pos += 2;
+            } else if (name[pos] === "D" && /[012]/.test(name[pos + 1])) {
+                parts.push("~" + parts[parts.length - 1]);
+                pos += 2;
+            } else {
+                return name;
+            }
+        }
+        return parts.length ? `${parts.join("::")}()` : name;
+    }
+    const id = /\d/.test(name[pos]) ? readSource() : null;
+    return id ? `${id}()` : name;
+}
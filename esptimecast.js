@@ -12,6 +12,27 @@ function isSupportedBrowser() {
     return isChromium && !isMobile;
 }
 import { Transport, ESPLoader } from './esptools.js';
+import { ImprovSerial, IMPROV_STATE, IMPROV_ERROR } from './improv.js';
+import { CrashCollector, parseCrashDump, formatCrashReport, loadSymbolFile } from './crash-decoder.js';
+import { TelemetryLog, childPath } from './telemetry.js';
+import {
+    saveInstallSession,
+    listInstallSessions,
+    deleteInstallSession,
+    clearInstallHistory,
+    diagnosticBundle
+} from './install-history.js';
+import {
+    t,
+    detectLanguage,
+    setLanguage,
+    onLanguageChange,
+    initLanguagePicker,
+    applyTranslations,
+    formatPercent,
+    formatDateTime,
+    formatVersion
+} from './i18n.js';
 
 async function finalizeConnection({ port, transport, reader, writer }) {
     currentInstallContext = null;
@@ -37,8 +58,12 @@ async function finalizeConnection({ port, transport, reader, writer }) {
 }
 
 let currentInstallContext = null;
+let installSession = null;      // see INSTALL HISTORY
 const terminal = document.getElementById("terminal");
-const log = (...a) => console.log("[INFO]", ...a);
+const log = (...a) => {
+    console.log("[INFO]", ...a);
+    recordInstallLog(a);
+};
 const sleep = ms => new Promise(r => setTimeout(r, ms));
 let authorizedPorts = [];
 
@@ -58,7 +83,7 @@ async function detectESP32S2Port() {
     const ports = await navigator.serial.getPorts();
     for (const p of ports) {
         const info = p.getInfo();
-        if (info.usbVendorId === 0x303a) {
+        if (info.usbVendorId === ESPRESSIF_USB_VID) {
             log("ESP32-S2 port found.");
             return p;
         }
@@ -78,42 +103,243 @@ async function detectESP32S2Port() {
 const SYNC_PACKET = slipEncode([0x00, 0x08, 0x24, 0x00, 0x00, 0x00, 0x00, 0x00, 0x07, 0x07, 0x12, 0x20, ...Array(32).fill(0x55)]);
 const READ_REG_PACKET = slipEncode([0x00, 0x0a, 0x04, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x10, 0x00, 0x40]);
 
-const manifest = {
-    name: "ESPTimeCast",
-    version: "1.1.1",
-    builds: []
-};
+const MANIFEST_URL = "manifest.json";
+const KNOWN_CHIP_FAMILIES = ["ESP8266", "ESP32", "ESP32-C2", "ESP32-C3", "ESP32-C6", "ESP32-H2", "ESP32-S2", "ESP32-S3"];
+const PART_TYPES = ["factory", "bootloader", "partitions", "boot_app0", "app", "filesystem"];
+const FLASH_SECTOR_SIZE = 0x1000;
+const RELEASE_CHANNELS = ["stable", "beta"];
+const VERSION_PATTERN = /^\d+\.\d+\.\d+(-[0-9A-Za-z.]+)?$/;
+
+let manifest = null;
+let manifestPromise = null;
+
+// Fetches manifest.json (ESP Web Tools format) once and caches the result.
+// A failed load is not cached, so the next Start click tries again.
+function ensureManifest() {
+    if (!manifestPromise) {
+        manifestPromise = loadManifest()
+            .then(m => {
+                manifest = m;
+                applyManifestVersion();
+                return m;
+            })
+            .catch(err => {
+                manifestPromise = null;
+                throw err;
+            });
+    }
+    return manifestPromise;
+}
 
-const basePath = `v${manifest.version}/`;
+async function loadManifest() {
+    log("Loading manifest…");
+    let response;
+    try {
+        response = await fetch(MANIFEST_URL, { cache: "no-cache" });
+    } catch (e) {
+        throw new InstallError("manifest", `Failed to fetch ${MANIFEST_URL}: ${e.message}`);
+    }
+    if (!response.ok) {
+        throw new InstallError("manifest", `Failed to fetch ${MANIFEST_URL}: ${response.status} ${response.statusText}`);
+    }
 
-manifest.builds = [
-    {
-        chipFamily: "ESP8266",
-        factory: basePath + "esp8266.bin",
-        update: basePath + "esp8266.bin"
-    },
-    {
-        chipFamily: "ESP32",
-        factory: basePath + "esp32_full.bin",
-        update: basePath + "esp32_app.bin"
-    },
-    {
-        chipFamily: "ESP32-C3",
-        factory: basePath + "esp32c3_full.bin",
-        update: basePath + "esp32c3_app.bin"
-    },
-    {
-        chipFamily: "ESP32-S2",
-        factory: basePath + "esp32s2_full.bin",
-        update: basePath + "esp32s2_app.bin"
-    },
-    {
-        chipFamily: "ESP32-S3",
-        factory: basePath + "esp32s3_full.bin",
-        update: basePath + "esp32s3_app.bin"
+    let data;
+    try {
+        data = await response.json();
+    } catch (e) {
+        throw new InstallError("manifest", `${MANIFEST_URL} is not valid JSON (${e.message})`);
     }
-];
 
+    const problems = validateManifest(data);
+    if (problems.length) {
+        problems.forEach(p => log("❌ Manifest: " + p));
+        throw new InstallError("manifest", `${MANIFEST_URL} is malformed:\n` + problems.join("\n"));
+    }
+
+    // Part paths are relative to the manifest, same as ESP Web Tools
+    for (const release of [data, ...(data.releases || [])]) {
+        for (const build of release.builds) {
+            for (const part of build.parts) {
+                part.url = new URL(part.path, response.url).href;
+            }
+        }
+    }
+
+    log(`Manifest loaded: ${data.name} v${data.version} (${(data.releases?.length || 0) + 1} releases)`);
+    return data;
+}
+
+// Returns a list of human-readable problems; empty when the manifest is usable.
+// The top level is itself the default (latest stable) release, so ESP Web Tools
+// can consume the same file; older and beta releases live in "releases".
+function validateManifest(data) {
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+        return ["top level must be an object"];
+    }
+    const problems = [];
+    if (typeof data.name !== "string" || !data.name) problems.push("\"name\" must be a non-empty string");
+    validateRelease(data, "", problems);
+
+    if (data.releases !== undefined) {
+        if (!Array.isArray(data.releases)) {
+            problems.push("\"releases\" must be an array");
+        } else {
+            data.releases.forEach((release, i) => {
+                if (!release || typeof release !== "object") {
+                    problems.push(`releases[${i}] must be an object`);
+                    return;
+                }
+                validateRelease(release, `releases[${i}].`, problems);
+            });
+        }
+    }
+
+    const versions = [data, ...(Array.isArray(data.releases) ? data.releases : [])]
+        .map(r => r?.version)
+        .filter(v => typeof v === "string");
+    const duplicate = versions.find((v, i) => versions.indexOf(v) !== i);
+    if (duplicate) problems.push(`version "${duplicate}" is listed more than once`);
+
+    return problems;
+}
+
+function validateRelease(release, prefix, problems) {
+    if (typeof release.version !== "string" || !VERSION_PATTERN.test(release.version)) {
+        problems.push(`${prefix}version must be a version string like "1.2.3" or "1.3.0-beta.1"`);
+    }
+    if (release.channel !== undefined && !RELEASE_CHANNELS.includes(release.channel)) {
+        problems.push(`${prefix}channel "${release.channel}" must be one of ${RELEASE_CHANNELS.join(", ")}`);
+    }
+    if (release.notes !== undefined &&
+        (!Array.isArray(release.notes) || release.notes.some(n => typeof n !== "string"))) {
+        problems.push(`${prefix}notes must be an array of strings`);
+    }
+    if (!Array.isArray(release.builds) || release.builds.length === 0) {
+        problems.push(`${prefix}builds must be a non-empty array`);
+        return;
+    }
+
+    const seenChips = new Set();
+    release.builds.forEach((build, i) => {
+        const where = `${prefix}builds[${i}]`;
+        if (!build || typeof build !== "object") {
+            problems.push(`${where} must be an object`);
+            return;
+        }
+        if (!KNOWN_CHIP_FAMILIES.includes(build.chipFamily)) {
+            problems.push(`${where}.chipFamily "${build.chipFamily}" is not a known chip family`);
+        } else if (seenChips.has(build.chipFamily)) {
+            problems.push(`${where}.chipFamily "${build.chipFamily}" is listed more than once`);
+        }
+        seenChips.add(build.chipFamily);
+
+        validateBuildRequirements(build, where, problems);
+        validateBuildConnection(build.connection, where, problems);
+
+        if (!Array.isArray(build.parts) || build.parts.length === 0) {
+            problems.push(`${where}.parts must be a non-empty array`);
+            return;
+        }
+
+        let lastOffset = -1;
+        build.parts.forEach((part, j) => {
+            const partWhere = `${where}.parts[${j}]`;
+            if (!part || typeof part !== "object") {
+                problems.push(`${partWhere} must be an object`);
+                return;
+            }
+            if (typeof part.path !== "string" || !part.path) {
+                problems.push(`${partWhere}.path must be a non-empty string`);
+            }
+            if (!Number.isInteger(part.offset) || part.offset < 0) {
+                problems.push(`${partWhere}.offset must be a non-negative integer`);
+            } else {
+                if (part.offset % FLASH_SECTOR_SIZE !== 0) {
+                    problems.push(`${partWhere}.offset 0x${part.offset.toString(16)} is not aligned to a 4 KB sector`);
+                }
+                if (part.offset <= lastOffset) {
+                    problems.push(`${partWhere}.offset must be greater than the previous part's offset`);
+                }
+                lastOffset = part.offset;
+            }
+            if (part.sha256 !== undefined && !/^[0-9a-f]{64}$/i.test(part.sha256)) {
+                problems.push(`${partWhere}.sha256 must be 64 hex characters`);
+            }
+            if (part.elf_sha256 !== undefined && !/^[0-9a-f]{64}$/i.test(part.elf_sha256)) {
+                problems.push(`${partWhere}.elf_sha256 must be 64 hex characters`);
+            }
+            if (part.md5 !== undefined && !/^[0-9a-f]{32}$/i.test(part.md5)) {
+                problems.push(`${partWhere}.md5 must be 32 hex characters`);
+            }
+            if (part.type !== undefined && !PART_TYPES.includes(part.type)) {
+                problems.push(`${partWhere}.type "${part.type}" must be one of ${PART_TYPES.join(", ")}`);
+            }
+            if (part.type === "factory" && part.offset !== 0) {
+                problems.push(`${partWhere} is a merged factory image and must be at offset 0`);
+            }
+            if (part.update_only !== undefined) {
+                if (typeof part.update_only !== "boolean") {
+                    problems.push(`${partWhere}.update_only must be true or false`);
+                } else if (part.update_only && part.type !== "app") {
+                    problems.push(`${partWhere}.update_only is only allowed on "app" parts`);
+                }
+            }
+        });
+
+        if (!build.parts.some(p => p?.type === "app")) {
+            problems.push(`${where} has no part with "type": "app" (needed for Keep Data updates)`);
+        }
+        if (build.parts.some(p => p?.update_only) && !build.parts.some(p => p?.type === "factory")) {
+            problems.push(`${where} marks a part update_only but has no "factory" image for fresh installs`);
+        }
+    });
+}
+
+// All releases, newest first. The manifest's top level is the default release.
+function allReleases() {
+    if (!manifest) return [];
+    const { releases, ...top } = manifest;
+    return [top, ...(releases || [])].sort((a, b) => compareVersions(b.version, a.version));
+}
+
+function releaseChannel(release) {
+    return release.channel || "stable";
+}
+
+// Releases offered for a chip: stable only, or stable + beta when opted in.
+function releasesForChip(chip) {
+    const includeBeta = selectedChannel() === "beta";
+    return allReleases().filter(r =>
+        (includeBeta || releaseChannel(r) === "stable") &&
+        r.builds.some(b => b.chipFamily === chip)
+    );
+}
+
+// Compares "1.2.3" / "1.3.0-beta.1" style versions; a pre-release sorts
+// before the release it leads up to.
+function compareVersions(a, b) {
+    const [coreA, preA] = a.split("-");
+    const [coreB, preB] = b.split("-");
+    const numsA = coreA.split(".").map(Number);
+    const numsB = coreB.split(".").map(Number);
+    for (let i = 0; i < Math.max(numsA.length, numsB.length); i++) {
+        const diff = (numsA[i] || 0) - (numsB[i] || 0);
+        if (diff !== 0) return Math.sign(diff);
+    }
+    if (preA === preB) return 0;
+    if (preA === undefined) return 1;
+    if (preB === undefined) return -1;
+    return preA.localeCompare(preB, undefined, { numeric: true });
+}
+
+// Parts written for the chosen install mode: only the application image(s)
+// when keeping data, everything else for a factory install. An app marked
+// "update_only" is already inside the merged "factory" image at 0x0.
+function selectBuildParts(build, keepData) {
+    return keepData
+        ? build.parts.filter(p => p.type === "app")
+        : build.parts.filter(p => !p.update_only);
+}
 
 if (navigator.serial) {
     navigator.serial.addEventListener("disconnect", (event) => {
@@ -121,7 +347,8 @@ if (navigator.serial) {
         log("⚠️ Serial device disconnected");
         // If this was the active install port → show boot mode screen
         if (currentInstallContext) {
-            slideDisconnected();
+            const { localImages, restore } = currentInstallContext;
+            slideFailure("disconnected", { retry: () => runFlasher({ localImages, restore }) });
         }
     });
 }
@@ -129,56 +356,137 @@ if (navigator.serial) {
 /* ============================================================
    SECTION 5: INSTALL CONFIRMATION UI
    ============================================================ */
-async function flashFirmwareWithRetry(port, chip, firmwarePath, maxRetries = 3) {
+// Most failed flashes are noisy cables at high baud rates, so every retry
+// reconnects one step down this ladder and carries on from the last block that
+// still reads back intact instead of starting over.
+const FLASH_BAUD_LADDER = [921600, 460800, 230400, 115200];
+// Stages a reconnect can help with; a bad download or firmware that doesn't
+// fit the board fails the same way every time
+const FLASH_RETRY_STAGES = ["connect", "backup", "write", "verify"];
+
+function fallbackBaudrate(baudrate) {
+    return FLASH_BAUD_LADDER.find(b => b < baudrate) ?? baudrate;
+}
+
+async function flashFirmwareWithRetry(port, chip, parts, options = {}, maxRetries = 4) {
     let currentPort = port;
+    let baudrate = connectionSettings(port, chip, options.build).baudrate;
+    // Filled in by flashFirmware: the prepared images and how far writing got
+    const resume = {};
+    // finalizeConnection clears the install context; a retry from the failure
+    // slide puts it back
+    const context = currentInstallContext;
+    const retryInstall = () => {
+        currentInstallContext = context;
+        flashFirmwareWithRetry(currentPort, chip, parts, options, maxRetries);
+    };
+    let outcome = "unknown";
+    let error = null;
+    await startInstallSession(port, chip, parts);
     slideFlashing();
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        const startTime = Date.now(); // Record start time
-
-        try {
-            log(`Flash attempt ${attempt} of ${maxRetries}...`);
-            await flashFirmware(currentPort, chip, firmwarePath);
-            log("✅ Flash succeeded!");
-            return;
-        } catch (err) {
-            const duration = Date.now() - startTime;
-            const errMsg = err.message || "";
-
-            log(`Attempt ${attempt} failed after ${Math.round(duration / 1000)}s: ${errMsg}`);
-
-            // DETECTION LOGIC:
-            // If it's an S2 and it took a long time to fail (> 10 seconds), 
-            // it's almost certainly because it's not in Bootloader Mode.
-            if (chip === "ESP32-S2" && duration > 15000) {
-                log("❌ S2 Bootloader Timeout: Device was detected but didn't respond.");
-                log("👉 Ensure you hold the BOOT button while plugging in!");
-                slideBootmode(); // Show the 'Please use Boot Button' error
-                return; // Stop retrying immediately
+    try {
+        for (let attempt = 1; attempt <= maxRetries; attempt++) {
+            const startTime = Date.now(); // Record start time
+            if (installSession) {
+                installSession.retries = attempt - 1;
+                installSession.baudrates.push(baudrate);
             }
 
-            // If it's a "fast" failure on attempt 1, try one quick re-detect
-            if (attempt === 1 && chip === "ESP32-S2") {
-                log("⚠️ Fast failure. Cleaning up port for re-sync...");
+            try {
+                log(`Flash attempt ${attempt} of ${maxRetries} at ${baudrate} baud...`);
+                await flashFirmware(currentPort, chip, parts, { ...options, baudrate, resume });
+                log("✅ Flash succeeded!");
+                outcome = "success";
+                return;
+            } catch (err) {
+                const duration = Date.now() - startTime;
+                const errMsg = err.message || "";
+                error = errMsg;
+                outcome = classifyFailure(err);
+
+                log(`Attempt ${attempt} failed during ${err.flashStage || "install"} after ${Math.round(duration / 1000)}s: ${errMsg}`);
+
+                // Integrity failures are not transient; retrying would hide them
+                if (err.name === "VerificationError") {
+                    slideFailure(outcome, { error: err, retry: retryInstall });
+                    return;
+                }
+                if (err.name === "LayoutMismatchError") {
+                    slideFailure(outcome, { error: err, retry: retryInstall });
+                    return;
+                }
+
+                // DETECTION LOGIC:
+                // If it's an S2 and it took a long time to fail to connect,
+                // it's almost certainly because it's not in Bootloader Mode.
+                if (chip === "ESP32-S2" && err.flashStage === "connect" && duration > 15000) {
+                    log("❌ S2 Bootloader Timeout: Device was detected but didn't respond.");
+                    log("👉 Ensure you hold the BOOT button while plugging in!");
+                    outcome = "sync";
+                    slideFailure("sync", { error: err, retry: retryInstall }); // Show the 'Please use Boot Button' error
+                    return; // Stop retrying immediately
+                }
+
+                if (!FLASH_RETRY_STAGES.includes(err.flashStage) || attempt === maxRetries) {
+                    slideFailure(outcome, { error: err, retry: retryInstall });
+                    return;
+                }
+
+                log("⚠️ Cleaning up port for re-sync...");
                 await finalizeConnection({ port: currentPort });
-                //await safeClosePort(currentPort); // Just close it, don't forget it
+                setFlashingTitle(t("flashing.reconnecting"));
+                showLoader();
                 await sleep(1000);
-                currentPort = await detectESP32S2Port(); // This will find the existing authorized port without a popup
-                if (!currentPort) return;
-            } else {
-                // Hard fail for everything else
-                slideError();
-                return;
+                if (chip === "ESP32-S2") {
+                    currentPort = await detectESP32S2Port(); // This will find the existing authorized port without a popup
+                    if (!currentPort) {
+                        outcome = "disconnected";
+                        slideFailure("disconnected", { error: err });
+                        return;
+                    }
+                }
+                baudrate = fallbackBaudrate(baudrate);
+                resume.note = t("flashing.retry", { attempt, total: maxRetries - 1, baudrate });
+                setFlashingRetry(resume.note);
             }
         }
+    } finally {
+        await finishInstallSession(outcome, error);
     }
 }
 
-async function showInstallPrompt(port, chip, build, version) {
+async function showInstallPrompt(port, chip, releases, { localImages = null, restore = false, device = null } = {}) {
 
-    document.getElementById("confirm-chip").innerHTML =
-        `<strong>${chip}</strong> detected`;
+    // Only offer what the board can run; with nothing left, say why
+    const info = device?.info;
+    let unverified = [];
+    if (localImages) {
+        placeLocalBootloader(localImages, chip);
+        const problems = checkLocalImagesFit(localImages, info);
+        if (problems.length) {
+            slideIncompatibleHardware(chip, null, problems);
+            return;
+        }
+    } else {
+        const fit = fitReleasesToDevice(releases, chip, info);
+        if (!fit.releases.length) {
+            slideIncompatibleHardware(chip, releases[0], fit.problems);
+            return;
+        }
+        releases = fit.releases;
+        unverified = fit.unverified;
+    }
 
-    currentInstallContext = { build, version };
+    currentInstallContext = { chip, releases, localImages, restore, device, unverified };
+    setConfirmLocalMode(!!localImages);
+    if (!localImages) {
+        selectRelease(releases[0]);
+        renderVersionPicker();
+    }
+    renderConfirmChip();
+    renderDeviceCard(device?.info, chip);
+    renderPartitionPanel(device?.partitions, chip);
+    evaluateLayout();
 
     updateConfirmText(false);
     goToSlide("confirm");
@@ -193,10 +501,23 @@ async function showInstallPrompt(port, chip, build, version) {
     document.getElementById("confirm-install").onclick = async () => {
         hideHints();
 
-        const keepData = shouldKeepData();
-        const selectedFirmware = keepData ? build.update : build.factory;
-
-        await flashFirmwareWithRetry(port, chip, "bins/" + selectedFirmware);
+        const { build } = currentInstallContext;
+        const layoutPart = localImages ? null : layoutPartFor(build);
+        const parts = localImages
+            ? localImages.map(img => ({
+                path: img.name,
+                offset: img.offset,
+                data: img.bytes,
+                type: restore ? "backup" : undefined
+            }))
+            : selectBuildParts(build, shouldKeepData());
+
+        await flashFirmwareWithRetry(port, chip, parts, {
+            layoutPart,
+            checkLayout: !localImages,
+            provision: !localImages,
+            build: localImages ? null : build
+        });
     };
 }
 
@@ -204,41 +525,161 @@ async function showInstallPrompt(port, chip, build, version) {
    SECTION 6: MAIN DETECTION FLOW
    ============================================================ */
 
-document.getElementById("start").onclick = async () => {
+async function startInstall() {
 
     hideHints();
 
+    try {
+        await ensureManifest();
+    } catch (e) {
+        log("❌ Manifest error: " + e.message);
+        slideFailure(classifyFailure(e), { error: e, retry: startInstall });
+        return;
+    }
+
     try {
         await runFlasher();
     } catch (e) {
         log("❌ Fatal error: " + e.message);
-        slideError();
+        slideFailure(classifyFailure(e), { error: e, retry: () => runFlasher() });
     }
-};
+}
+
+document.getElementById("start").onclick = startInstall;
+
+// Points the install context at a release and that release's build for the chip.
+function selectRelease(release) {
+    const ctx = currentInstallContext;
+    ctx.release = release;
+    ctx.version = release.version;
+    ctx.build = release.builds.find(b => b.chipFamily === ctx.chip);
+}
+
+// Local files replace the release picker on the confirm slide.
+function setConfirmLocalMode(isLocal) {
+    const picker = document.querySelector(".version-picker");
+    if (picker) picker.hidden = isLocal;
+    const notes = document.getElementById("confirm-release-notes");
+    if (notes && isLocal) notes.hidden = true;
+}
+
+function renderConfirmChip() {
+    const el = document.getElementById("confirm-chip");
+    if (el && currentInstallContext) el.innerHTML = t("confirm.chipDetected", { chip: currentInstallContext.chip });
+}
+
+function renderVersionPicker() {
+    const select = document.getElementById("confirm-version-select");
+    if (!select || !currentInstallContext) return;
+    const { releases, release } = currentInstallContext;
+
+    select.innerHTML = "";
+    releases.forEach((r, i) => {
+        const option = document.createElement("option");
+        option.value = r.version;
+        const tags = [];
+        if (i === 0) tags.push(t("confirm.latest"));
+        if (releaseChannel(r) !== "stable") tags.push(releaseChannel(r));
+        option.textContent = formatVersion(r.version) + (tags.length ? ` (${tags.join(", ")})` : "");
+        select.appendChild(option);
+    });
+    select.value = release.version;
+    select.disabled = releases.length < 2;
+    markUncachedReleases(select, releases, currentInstallContext.chip);
+
+    select.onchange = () => {
+        const picked = releases.find(r => r.version === select.value);
+        if (!picked) return;
+        selectRelease(picked);
+        log(`Selected firmware v${picked.version}`);
+        renderReleaseNotes();
+        updateConfirmText();
+        evaluateLayout();
+    };
+
+    renderReleaseNotes();
+}
+
+function renderReleaseNotes() {
+    const container = document.getElementById("confirm-release-notes");
+    if (!container || !currentInstallContext) return;
+    const { release } = currentInstallContext;
+    const list = container.querySelector("ul");
+    const summary = container.querySelector("summary");
+
+    summary.textContent = t("confirm.whatsNew", { version: formatVersion(release.version) }) +
+        (release.date ? ` · ${release.date}` : "");
+    list.innerHTML = "";
+    for (const note of release.notes || []) {
+        const li = document.createElement("li");
+        li.textContent = note;
+        list.appendChild(li);
+    }
+    container.hidden = !release.notes?.length;
+}
+
+// Offline, only versions whose files are all in the firmware cache can install
+async function markUncachedReleases(select, releases, chip) {
+    if (navigator.onLine || !window.caches) return;
+    const cache = await caches.open(FIRMWARE_CACHE);
+    for (const option of select.options) {
+        const build = releases.find(r => r.version === option.value)?.builds.find(b => b.chipFamily === chip);
+        const cached = await Promise.all((build?.parts || []).map(p => cache.match(p.url)));
+        if (build && cached.every(Boolean)) continue;
+        option.disabled = true;
+        option.textContent += ` · ${t("confirm.notOffline")}`;
+    }
+    if (currentInstallContext?.releases !== releases || !select.selectedOptions[0]?.disabled) return;
+    const available = [...select.options].find(o => !o.disabled);
+    if (available) {
+        select.value = available.value;
+        select.onchange();
+    }
+}
+
+// Re-filters the picker when the channel setting changes on the confirm slide.
+function refreshVersionPicker() {
+    const ctx = currentInstallContext;
+    if (!ctx?.chip) return;
+    const { releases, unverified } = fitReleasesToDevice(releasesForChip(ctx.chip), ctx.chip, ctx.device?.info);
+    if (!releases.length) return;
+    ctx.releases = releases;
+    ctx.unverified = unverified;
+    selectRelease(releases.find(r => r.version === ctx.version) || releases[0]);
+    renderVersionPicker();
+    updateConfirmText();
+}
+
+let lastDetectedChip = null;     // for offset guesses in advanced mode
 
 function reportDetectedChip(chip) {
+    if (chip !== "Unknown ESP") lastDetectedChip = chip;
     log("--------------------------");
     log(`RESULT: ${chip}`);
     log("--------------------------");
+    announce(chip === "Unknown ESP" ? t("a11y.unknownChip") : t("a11y.chipDetected", { chip }));
 }
 
-async function runFlasher() {
+// `port` skips the picker, for retries from the failure slide
+async function runFlasher({ localImages = null, restore = false, port = null } = {}) {
 
-    let port, writer, reader;
+    let writer, reader;
     let result = "Unknown ESP";
 
     try {
-        log("Requesting port…");
+        if (!port) {
+            log("Requesting port…");
 
-        try {
-            port = await navigator.serial.requestPort();
-        } catch (err) {
-            if (err?.name === "NotFoundError") {
-                log("ℹ️ Port selection canceled by user.");
-                resetHints();
-                return; // ← abort runFlasher quietly
+            try {
+                port = await navigator.serial.requestPort();
+            } catch (err) {
+                if (err?.name === "NotFoundError") {
+                    log("ℹ️ Port selection canceled by user.");
+                    resetHints();
+                    return; // ← abort runFlasher quietly
+                }
+                throw err; // real error, propagate
             }
-            throw err; // real error, propagate
         }
 
         goToSlide("detecting");
@@ -253,39 +694,28 @@ async function runFlasher() {
         authorizedPorts = await navigator.serial.getPorts();
         const info = port.getInfo();
 
-        // First try USB PID detection
-        let chipByPID = null;
-        if (info.usbVendorId === 0x303a) { // Espressif native USB
-            if ([0x1001, 0x1002, 0x1003].includes(info.usbProductId)) {
-                // This ID is shared by S3 and C3. 
-                // We mark it as a "Native" hint but don't assign a final name yet.
-                chipByPID = "NATIVE_CDC";
-            } else if ([0x0002, 0x0003].includes(info.usbProductId)) {
-                chipByPID = "ESP32-S2";
-            }
-        }
-
-        if (chipByPID === "ESP32-S2") {
-            log("ESP32-S2 detected via native USB.");
+        // First try USB PID detection. Other native USB chips share PIDs
+        // (USB-JTAG/Serial is 0x1001 on all of them) and go through the ROM.
+        const chipByPID = chipFromUsbIds(info);
+        if (chipByPID && connectionSettings(port, chipByPID, defaultBuildFor(chipByPID)).skipRomProbe) {
+            log(`${chipByPID} detected via native USB.`);
             log("Skipping ROM probe (native USB reliability mode).");
 
-            reportDetectedChip("ESP32-S2");
+            reportDetectedChip(chipByPID);
 
-            const build = manifest.builds.find(b => b.chipFamily === "ESP32-S2");
-            if (!build) throw new Error("ESP32-S2 build not found");
+            const releases = releasesForChip(chipByPID);
+            if (!releases.length && !localImages) throw new Error(`${chipByPID} build not found`);
 
-            // Go straight to the prompt.
+            // Go straight to the prompt; without a probe the requirements are
+            // checked against the manifest only and flagged as unverified.
             // If Attempt 1 fails due to hardware noise, Attempt 2 will catch it.
             await ensureMinDetectTime();
-            await showInstallPrompt(port, "ESP32-S2", build, manifest.version);
+            await showInstallPrompt(port, chipByPID, releases, { localImages, restore });
 
-            return; // S2 fully handled
+            return;
         }
 
-        // If PID detected C3, treat it as non-S2: open port and continue to magic detection
-        if (chipByPID === "ESP32-C3") log("ESP32-C3 detected via USB PID — continuing with flash detection");
-
-        // --- only open port for non-S2 chips ---
+        // --- only open port for chips the ROM probe can talk to ---
         await port.open({ baudRate: 115200 });
         writer = port.writable.getWriter();
         reader = port.readable.getReader();
@@ -335,9 +765,8 @@ async function runFlasher() {
             await sleep(100);
         }
 
-        // Determine result either by PID or magic
-        if (chipByPID === "ESP32-C3") result = "ESP32-C3";
-        else if (magic === 0xFFF0C101 || magic === 0xC101) result = "ESP8266";
+        // Determine result by magic
+        if (magic === 0xFFF0C101 || magic === 0xC101) result = "ESP8266";
         else if (magic === 0x00F01D83) result = "ESP32";
         else if ([0x00000009, 0x00000000, 0x9].includes(magic)) result = "ESP32-S3";
         else if ([0x6921506F, 0x1B31506F, 0x4881606F, 0x09].includes(magic)) result = "ESP32-C3";
@@ -348,9 +777,7 @@ async function runFlasher() {
 
         log("Raw value: 0x" + (magic ? magic.toString(16).toUpperCase() : "null"));
 
-        log("--------------------------");
-        log("RESULT: " + result);
-        log("--------------------------");
+        reportDetectedChip(result);
 
         // Cleanup locks
         await finalizeConnection({ port, reader, writer });
@@ -365,818 +792,4232 @@ async function runFlasher() {
         }
 
         // Case B: Known ESP, but unsupported
-        const build = manifest.builds.find(b => b.chipFamily === result);
-        if (!build) {
+        const releases = releasesForChip(result);
+        if (!releases.length && !localImages) {
             await ensureMinDetectTime();
             slideUnsupportedBoard(result);
             return;
         }
 
         // Case C: Supported ESP
+        const device = await probeDevice(port, result);
         await ensureMinDetectTime();
-        await showInstallPrompt(port, result, build, manifest.version);
+        await showInstallPrompt(port, result, releases, { localImages, restore, device });
 
     } catch (e) {
         log("❌ Error: " + e.message);
 
-        // ESP32-S2 native USB disconnect / running firmware case
-        if (
-            e.message?.includes("The device has been lost") ||
-            e.message?.includes("not available") ||
-            e.name === "NetworkError"
-        ) {
-            slideBootmode();
-            return;
+        // ESP32-S2 native USB disconnect / running firmware case: the port
+        // vanishes during detection because the board isn't in download mode
+        let category = classifyFailure(e);
+        if (category === "disconnected" || (category === "unknown" && e.name === "NetworkError")) {
+            category = "sync";
         }
-
-        // Anything else is a real flash failure
-        slideError();
+        slideFailure(category, { error: e, retry: () => runFlasher({ localImages, restore, port }) });
     } finally {
         try { writer?.releaseLock(); } catch { }
         try { reader?.releaseLock(); } catch { }
     }
 }
 
-/* ============================================================
-   SECTION 7: FLASHING
-   ============================================================ */
-function handleFlashStageMessage(msg) {
-    const lower = msg.toLowerCase();
-    if (lower.includes("erase") || lower.includes("erasing")) {
-        setFlashingTitle("Erasing flash…");
+// ================================
+// CHIP PROFILES
+// ================================
+
+// How to talk to each chip family, behind a USB-UART bridge ("uart") or on the
+// chip's own USB port ("usb", Espressif's VID):
+//   baudrate         flashing speed once the stub runs
+//   connectMode      esptool-js reset before sync: default_reset | no_reset | usb_reset
+//   resetAfterFlash  toggle DTR afterwards to start the new firmware
+//   skipRomProbe     go straight to the install prompt, the port is too fragile
+//                    for the SYNC / READ_REG detection
+// usbProductIds lets a native USB product ID name the chip before any probing.
+// bootloaderOffset is where the 2nd stage bootloader goes (0x0 when omitted).
+// Families without a build in the manifest are simply not offered, so adding
+// one is all it takes to turn e.g. ESP32-C6 on.
+const ESPRESSIF_USB_VID = 0x303a;
+const CONNECT_MODES = ["default_reset", "no_reset", "usb_reset"];
+const DEFAULT_CONNECTION = { baudrate: 460800, connectMode: "default_reset", resetAfterFlash: false, skipRomProbe: false };
+
+const CHIP_PROFILES = {
+    "ESP8266": { uart: { resetAfterFlash: true } },
+    "ESP32": { bootloaderOffset: 0x1000, uart: { connectMode: "no_reset", resetAfterFlash: true } },
+    "ESP32-S2": {
+        bootloaderOffset: 0x1000,
+        usbProductIds: [0x0002, 0x0003],
+        uart: { baudrate: 115200, connectMode: "no_reset" },
+        usb: { baudrate: 115200, connectMode: "no_reset", skipRomProbe: true }
+    },
+    "ESP32-S3": { uart: { resetAfterFlash: true }, usb: { connectMode: "usb_reset" } },
+    "ESP32-C3": { uart: {}, usb: { connectMode: "usb_reset" } },
+    "ESP32-C6": { uart: {}, usb: { connectMode: "usb_reset" } },
+    "ESP32-H2": { uart: {}, usb: { connectMode: "usb_reset" } },
+    "ESP32-C2": { uart: {} }
+};
+
+// Manifest builds may override a profile under "connection", with flat keys
+// for both ports and/or "uart" / "usb" objects:
+//   "connection": { "usb": { "connect_mode": "no_reset", "baudrate": 115200 } }
+const CONNECTION_KEYS = {
+    baudrate: "baudrate",
+    connect_mode: "connectMode",
+    reset_after_flash: "resetAfterFlash",
+    skip_rom_probe: "skipRomProbe"
+};
+
+function validateBuildConnection(connection, where, problems) {
+    if (connection === undefined) return;
+    const check = (settings, at, nested) => {
+        if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+            problems.push(`${at} must be an object`);
+            return;
+        }
+        for (const [key, value] of Object.entries(settings)) {
+            if (nested && (key === "uart" || key === "usb")) {
+                check(value, `${at}.${key}`, false);
+            } else if (!(key in CONNECTION_KEYS)) {
+                problems.push(`${at}.${key} is not a connection setting`);
+            } else if (key === "baudrate" && !(Number.isInteger(value) && value > 0)) {
+                problems.push(`${at}.baudrate must be a positive integer`);
+            } else if (key === "connect_mode" && !CONNECT_MODES.includes(value)) {
+                problems.push(`${at}.connect_mode must be one of ${CONNECT_MODES.join(", ")}`);
+            } else if ((key === "reset_after_flash" || key === "skip_rom_probe") && typeof value !== "boolean") {
+                problems.push(`${at}.${key} must be true or false`);
+            }
+        }
+    };
+    check(connection, `${where}.connection`, true);
+}
+
+function fromManifestConnection(connection) {
+    if (!connection) return null;
+    const convert = (settings = {}) => Object.fromEntries(Object.entries(settings)
+        .filter(([key]) => key in CONNECTION_KEYS)
+        .map(([key, value]) => [CONNECTION_KEYS[key], value]));
+    return { ...convert(connection), uart: convert(connection.uart), usb: convert(connection.usb) };
+}
+
+// Advanced settings, for USB bridges that misbehave with the defaults.
+// Applies to every chip and wins over the manifest.
+function connectionOverride() {
+    try {
+        const saved = JSON.parse(localStorage.getItem("connectionOverride")) || {};
+        const override = {};
+        if (Number.isInteger(saved.baudrate) && saved.baudrate > 0) override.baudrate = saved.baudrate;
+        if (CONNECT_MODES.includes(saved.connectMode)) override.connectMode = saved.connectMode;
+        if (typeof saved.resetAfterFlash === "boolean") override.resetAfterFlash = saved.resetAfterFlash;
+        return override;
+    } catch {
+        return {};
     }
-    else if (lower.includes("writing")) {
-        setFlashingTitle("Writing firmware…");
+}
+
+// The build of the newest offered release, whose overrides apply before a
+// version has been picked
+function defaultBuildFor(chip) {
+    return releasesForChip(chip)[0]?.builds.find(b => b.chipFamily === chip) || null;
+}
+
+// Connection parameters for this port and chip. Shared by detection, the probe
+// and the flasher so all of them talk to the board the same way.
+function connectionSettings(port, chip, build = null) {
+    const isNativeUSB = port.getInfo().usbVendorId === ESPRESSIF_USB_VID;
+    const variant = isNativeUSB ? "usb" : "uart";
+    const profile = CHIP_PROFILES[chip] || {};
+    const settings = { ...DEFAULT_CONNECTION, ...(profile[variant] || profile.uart) };
+    for (const override of [fromManifestConnection(build?.connection), connectionOverride()]) {
+        if (!override) continue;
+        const { uart, usb, ...both } = override;
+        Object.assign(settings, both, variant === "usb" ? usb : uart);
     }
+    return { isNativeUSB, ...settings };
 }
 
-async function flashFirmware(port, chip, firmwarePath) {
-    log("Starting flash using esptool-js...");
-    const initStart = Date.now();
-    if (chip === "ESP32-S2") {
-        log("ESP32-S2: native USB handling enabled");
+// Chip named outright by its native USB product ID, if any
+function chipFromUsbIds(info) {
+    if (info.usbVendorId !== ESPRESSIF_USB_VID) return null;
+    return Object.keys(CHIP_PROFILES)
+        .find(chip => CHIP_PROFILES[chip].usbProductIds?.includes(info.usbProductId)) || null;
+}
+
+function bootloaderOffset(chip) {
+    return CHIP_PROFILES[chip]?.bootloaderOffset ?? 0x0;
+}
+
+function initConnectionOverride() {
+    const fields = {
+        baudrate: document.getElementById("conn-baudrate"),
+        connectMode: document.getElementById("conn-mode"),
+        resetAfterFlash: document.getElementById("conn-reset-after")
+    };
+    if (Object.values(fields).some(el => !el)) return;
+    const override = connectionOverride();
+    for (const [key, el] of Object.entries(fields)) {
+        el.value = key in override ? String(override[key]) : "";
+        el.addEventListener("change", saveConnectionOverride);
+    }
+
+    function saveConnectionOverride() {
+        const override = {};
+        if (fields.baudrate.value) override.baudrate = Number(fields.baudrate.value);
+        if (fields.connectMode.value) override.connectMode = fields.connectMode.value;
+        if (fields.resetAfterFlash.value) override.resetAfterFlash = fields.resetAfterFlash.value === "true";
+        localStorage.setItem("connectionOverride", JSON.stringify(override));
+        log(Object.keys(override).length
+            ? "Connection override: " + JSON.stringify(override)
+            : "Connection override cleared");
+    }
+}
+
+// ================================
+// DEVICE PROBE
+// ================================
+
+// Same as ESPLoader.main(), but copes with a flasher stub left running by an
+// earlier probe: the bundled esptool-js skips the upload then and forgets to
+// mark the session as stub, which would silently disable eraseAll.
+async function connectLoader(loader, connectMode) {
+    await loader.detectChip(connectMode);
+    if (loader.chip.postConnect) await loader.chip.postConnect(loader);
+    const stubAlreadyRunning = loader.syncStubDetected;
+    await loader.runStub();
+    if (stubAlreadyRunning) loader.IS_STUB = true;
+    if (loader.romBaudrate !== loader.baudrate) await loader.changeBaud();
+}
+
+// Short read-only session between detection and the confirm slide. Runs at the
+// ROM baud rate so the stub it leaves behind still matches the next connect.
+// Returns null when the board can't be probed; the install still works.
+async function probeDevice(port, chip) {
+    const { isNativeUSB, connectMode, skipRomProbe } = connectionSettings(port, chip, defaultBuildFor(chip));
+    // Same reason detection skips the ROM: the port may not survive it
+    if (skipRomProbe) {
+        log(`Not probing ${chip} (native USB reliability mode)`);
+        return null;
     }
     let transport = null;
     try {
-        // Create transport with S2-specific settings
-        const isNativeUSB = chip === "ESP32-S2" ||
-            (chip === "ESP32-S3" && port.getInfo().usbVendorId === 0x303a) ||
-            (chip === "ESP32-C3" && port.getInfo().usbVendorId === 0x303a);
-        transport = new Transport(port, !isNativeUSB); // Invert: false = skip auto-open for native USB
-        let baudrate = 460800;
-        let connectMode = "default_reset";
-        if (chip === "ESP32-S2") {
-            baudrate = 115200; connectMode = "no_reset";
-        } else if (chip === "ESP32") {
-            baudrate = 460800; connectMode = "no_reset";
-        } else if (chip === "ESP32-C3" && isNativeUSB) {
-            connectMode = "usb_reset"; baudrate = 460800;
-        } else if (chip === "ESP32-S3" && isNativeUSB) {
-            connectMode = "usb_reset"; baudrate = 460800;
-        }
+        transport = new Transport(port, !isNativeUSB);
         const loader = new ESPLoader({
             transport,
-            baudrate,
-            noReset: chip === "ESP32-S2",
-            usbReset: (chip === "ESP32-S3" || chip === "ESP32-C3") && isNativeUSB,
-            terminal: {
-                clean: () => { },
-                writeLine: (msg) => {
-                    log(msg);
-                    const percent = parseFlashProgress(msg);
-                    if (percent !== null) {
-                        updateProgressRing(percent);
-                    }
-                    handleFlashStageMessage(msg);
-                },
-                write: (msg) => {
-                    log(msg);
-                }
-            }
+            baudrate: 115200,
+            terminal: { clean: () => { }, writeLine: log, write: log }
         });
-        log(`Connecting to ${chip}...`);
-        await loader.main(connectMode);
-        log(`Connected. Chip: ${loader.chip.CHIP_NAME}`);
-        log("Fetching firmware...");
-        const response = await fetch(firmwarePath);
-        if (!response.ok) throw new Error(`Failed to fetch firmware: ${response.statusText}`);
-        const contents = await response.arrayBuffer();
-        log(`Firmware loaded: ${contents.byteLength} bytes`);
-        // Ensure Initializing is visible at least 1.5s
-        const initElapsed = Date.now() - initStart;
-        if (initElapsed < 2000) {
-            await sleep(2000 - initElapsed);
-        }
-        log("Uploading firmware...");
-        //setFlashingTitle("Flashing firmware...");
-        switchToProgressRing();
-        const uint8 = new Uint8Array(contents);
-        let binaryString = "";
-        const CHUNK_SIZE = 8192;
-        for (let i = 0; i < uint8.length; i += CHUNK_SIZE) {
-            binaryString += String.fromCharCode.apply(null, uint8.subarray(i, i + CHUNK_SIZE));
-        }
-        const keepData = shouldKeepData();
-        const flashAddress = (keepData && chip.startsWith("ESP32")) ? 0x10000 : 0x0000;
-        log("==================================================");
-        log("INSTALL SESSION");
-        log(`Chip: ${chip}`);
-        log(`Mode: ${keepData ? "Update (Keep Data)" : "Factory (Erase All)"}`);
-        log(`Firmware File: ${firmwarePath.split('/').pop()}`);
-        log(`Full Path: ${firmwarePath}`);
-        log(`Flash Address: 0x${flashAddress.toString(16).toUpperCase()}`);
-        log(`Erase All Before Flash: ${!keepData}`);
-        log("==================================================");
-        const fileArray = [{ data: binaryString, address: flashAddress }];
-        await loader.writeFlash({
-            fileArray,
-            flashSize: "keep",
-            eraseAll: !keepData,
-            compress: true,
-            reportProgress: (fraction) => {
-                const percent = Math.round(fraction * 100);
-                if (percent > 0) updateProgressRing(percent);
-            }
-        }
-        );
-        // Flash finished
-        const finalizeStart = Date.now();
-        setFlashingTitle("Finalizing...");
-        updateProgressRing(100);
-        // Ensure Finalizing is visible at least 1.5s
-        const finalizeElapsed = Date.now() - finalizeStart;
-        if (finalizeElapsed < 2000) {
-            await sleep(2000 - finalizeElapsed);
-        }
-        log("Flash complete. Rebooting device...");
-        try {
-            if (chip === "ESP8266" || chip === "ESP32" || (chip === "ESP32-S3" && port.getInfo().usbVendorId !== 0x303a)) {
-                log(`Will perform UART reset for ${chip}...`);
-                await transport.setDTR(false);
-                await sleep(100);
-                await transport.setDTR(true);
-                log(`✅ ${chip} UART reset complete.`);
-                installSuccess(true);
-            } else {
-                log(`UART reset not available on this board: ${chip}`);
-                installSuccess(false);
-            }
-        } catch (e) {
-            log("⚠️ Reboot handling failed: " + e.message);
-            installSuccess(false);
+        log(`Probing ${chip}...`);
+        await connectLoader(loader, connectMode);
+        const info = await readDeviceInfo(loader, port);
+
+        if (chip === "ESP8266") {
+            return { partitions: null, installed: await identifyESP8266Firmware(loader), info };
         }
-        log("Installation complete! Device should now reboot.");
-    } catch (err) {
-        log("❌ Flash Error: " + err.message);
-        console.error(err);
-        throw err;
+
+        const partitions = await readPartitionTable(loader);
+        log(partitions
+            ? `Partition table: ${partitions.length} entries`
+            : "⚠️ No valid partition table at 0x8000");
+        const installed = partitions ? await identifyESP32Firmware(loader, chip, partitions) : null;
+        return { partitions, installed, info };
+    } catch (e) {
+        log("⚠️ Device probe failed: " + e.message);
+        return null;
     } finally {
-        try {
-            await finalizeConnection({ port, transport });
-        } catch (cleanupError) {
-            log("Cleanup error: " + cleanupError.message);
-        }
+        await finalizeConnection({ port, transport });
     }
 }
 
 
 // ================================
-// PROGRESS INDICATOR
+// DEVICE INFO
 // ================================
-function parseFlashProgress(msg) {
-    const match = msg.match(/\((\d+)%\)/);
-    if (!match) return null;
-    return parseInt(match[1], 10);
-}
 
+// JEDEC manufacturer IDs of the flash chips found on ESP boards
+const FLASH_VENDORS = {
+    0x0B: "XTX", 0x1C: "EON", 0x20: "XMC", 0x5E: "Zbit", 0x68: "Boya", 0x85: "Puya",
+    0x9D: "ISSI", 0xA1: "Fudan", 0xBA: "Zetta", 0xC2: "Macronix", 0xC8: "GigaDevice", 0xEF: "Winbond"
+};
+
+// Everything the ROM (or stub) can tell about the board. Each read may fail on
+// its own, so a missing field never costs the rest of the card.
+async function readDeviceInfo(loader, port) {
+    const chip = loader.chip;
+    const read = async (what, fn) => {
+        try {
+            return await fn();
+        } catch (e) {
+            log(`⚠️ Could not read ${what}: ${e.message}`);
+            return null;
+        }
+    };
+    const info = { usb: port.getInfo() };
+    info.description = await read("chip description", () => chip.getChipDescription(loader));
+    if (chip.getMajorChipVersion && chip.getMinorChipVersion) {
+        const major = await read("chip revision", () => chip.getMajorChipVersion(loader));
+        const minor = await read("chip revision", () => chip.getMinorChipVersion(loader));
+        if (major !== null && minor !== null) info.revision = { major, minor };
+    }
+    info.mac = await read("MAC address", () => chip.readMac(loader));
+    info.crystal = await read("crystal frequency", () => chip.getCrystalFreq(loader));
+    info.features = await read("chip features", () => chip.getChipFeatures(loader)) || [];
+    info.flashSize = await read("flash size", () => loader.getFlashSize());    // KB
+    const flashId = await read("flash ID", () => loader.readFlashId());
+    if (flashId !== null) {
+        info.flashId = flashId & 0xFFFFFF;
+        info.flashVendor = FLASH_VENDORS[flashId & 0xFF] || null;
+    }
+    log(`Device: ${info.description || "unknown"}, MAC ${info.mac || "?"}, ` +
+        `flash ${info.flashSize ? formatBytes(info.flashSize * 1024) : "?"}`);
+    return info;
+}
+
+function formatChipRevision(revision) {
+    return revision ? `v${revision.major}.${revision.minor}` : null;
+}
+
+// Label / value pairs shown on the card and copied for support tickets
+function deviceInfoRows(info, chip) {
+    const hex = (n, width) => "0x" + n.toString(16).toUpperCase().padStart(width, "0");
+    const psram = info.features.filter(f => /PSRAM/i.test(f));
+    const features = info.features.filter(f => !/PSRAM/i.test(f));
+    let flash = info.flashSize ? formatBytes(info.flashSize * 1024) : null;
+    if (info.flashId !== undefined) {
+        const vendor = info.flashVendor || "unknown vendor";
+        flash = `${flash || "unknown size"} · ${vendor} (ID ${hex(info.flashId, 6)})`;
+    }
+    const rows = [
+        [t("device.chip"), info.description || chip],
+        [t("device.revision"), formatChipRevision(info.revision)],
+        [t("device.mac"), info.mac],
+        [t("device.flash"), flash],
+        [t("device.crystal"), info.crystal ? t("device.crystalValue", { mhz: info.crystal }) : null],
+        [t("device.psram"), psram.length ? psram.join(", ") : t("device.noPsram")],
+        [t("device.features"), features.join(", ") || null]
+    ];
+    if (info.usb?.usbVendorId !== undefined) {
+        rows.push([t("device.usb"), `${hex(info.usb.usbVendorId, 4)}:${hex(info.usb.usbProductId, 4)}`]);
+    }
+    return rows.filter(([, value]) => value);
+}
+
+function renderDeviceCard(info, chip) {
+    const card = document.getElementById("confirm-device");
+    if (!card) return;
+    // Shown either way, so a failed probe doesn't look like a missing feature
+    card.hidden = false;
+    const list = card.querySelector("dl");
+    const copy = document.getElementById("confirm-device-copy");
+    card.querySelector(".device-card-empty").hidden = !!info;
+    list.hidden = copy.hidden = !info;
+    if (!info) return;
+    const rows = deviceInfoRows(info, chip);
+    list.replaceChildren(...rows.flatMap(([label, value]) => {
+        const dt = document.createElement("dt");
+        dt.textContent = label;
+        const dd = document.createElement("dd");
+        dd.textContent = value;
+        return [dt, dd];
+    }));
+
+    copy.textContent = t("confirm.copyDetails");
+    copy.onclick = async () => {
+        const text = rows.map(([label, value]) => `${label}: ${value}`).join("\n");
+        try {
+            await navigator.clipboard.writeText(text);
+            copy.textContent = t("confirm.copied");
+        } catch {
+            copy.textContent = t("confirm.copyFailed");
+        }
+        setTimeout(() => { copy.textContent = t("confirm.copyDetails"); }, 1500);
+    };
+}
+
+
+// ================================
+// HARDWARE REQUIREMENTS
+// ================================
+
+// A build may declare what the board needs:
+//   "min_flash_size": "4MB", "min_chip_revision": "v1.0",
+//   "max_chip_revision": "v3.99", "requires_psram": true
+// PSRAM outside the chip package (ESP32 WROVER, most S2/S3 modules) is
+// invisible to the ROM, so on those chips a missing PSRAM cannot block.
+const EXTERNAL_PSRAM_CHIPS = ["ESP32", "ESP32-S2", "ESP32-S3"];
+
+// "4MB" / "512KB" → KB, null when malformed
+function parseSizeKB(text) {
+    const m = typeof text === "string" && text.trim().match(/^(\d+)\s*(KB|MB)$/i);
+    if (!m) return null;
+    return Number(m[1]) * (m[2].toUpperCase() === "MB" ? 1024 : 1);
+}
+
+// "v3.1" → 301, eFuse major * 100 + minor as in ESP-IDF; null when malformed
+function parseChipRevision(text) {
+    const m = typeof text === "string" && text.trim().match(/^v?(\d+)\.(\d+)$/i);
+    return m ? Number(m[1]) * 100 + Number(m[2]) : null;
+}
+
+function validateBuildRequirements(build, where, problems) {
+    if (build.min_flash_size !== undefined && parseSizeKB(build.min_flash_size) === null) {
+        problems.push(`${where}.min_flash_size must be a size like "4MB" or "512KB"`);
+    }
+    for (const key of ["min_chip_revision", "max_chip_revision"]) {
+        if (build[key] !== undefined && parseChipRevision(build[key]) === null) {
+            problems.push(`${where}.${key} must be a revision like "v3.0"`);
+        }
+    }
+    if (build.requires_psram !== undefined && typeof build.requires_psram !== "boolean") {
+        problems.push(`${where}.requires_psram must be true or false`);
+    }
+}
+
+// problems: reasons the board cannot run the build. unverified: requirements
+// the probe could not answer; those are logged, not enforced.
+function checkBuildRequirements(build, chip, info) {
+    const problems = [];
+    const unverified = [];
+
+    const minFlash = build.min_flash_size !== undefined ? parseSizeKB(build.min_flash_size) : null;
+    if (minFlash !== null) {
+        if (!info?.flashSize) unverified.push("flash size");
+        else if (info.flashSize < minFlash) {
+            problems.push(t("requirements.flash", {
+                needed: formatBytes(minFlash * 1024),
+                have: formatBytes(info.flashSize * 1024)
+            }));
+        }
+    }
+
+    const minRev = build.min_chip_revision !== undefined ? parseChipRevision(build.min_chip_revision) : null;
+    const maxRev = build.max_chip_revision !== undefined ? parseChipRevision(build.max_chip_revision) : null;
+    if (minRev !== null || maxRev !== null) {
+        const revision = info?.revision ? info.revision.major * 100 + info.revision.minor : null;
+        const have = formatChipRevision(info?.revision);
+        if (revision === null) unverified.push("chip revision");
+        else if (minRev !== null && revision < minRev) {
+            problems.push(t("requirements.minRevision", { revision: build.min_chip_revision, have }));
+        } else if (maxRev !== null && revision > maxRev) {
+            problems.push(t("requirements.maxRevision", { revision: build.max_chip_revision, have }));
+        }
+    }
+
+    if (build.requires_psram) {
+        if (!info) unverified.push("PSRAM");
+        else if (!info.features.some(f => /PSRAM/i.test(f))) {
+            if (EXTERNAL_PSRAM_CHIPS.includes(chip)) unverified.push("PSRAM");
+            else problems.push(t("requirements.psram", { chip }));
+        }
+    }
+    return { problems, unverified };
+}
+
+// Releases the probed board can run, newest first. Rejected ones are logged;
+// `problems` explains the newest release when none is left.
+function fitReleasesToDevice(releases, chip, info) {
+    const checked = releases.map(release => ({
+        release,
+        ...checkBuildRequirements(release.builds.find(b => b.chipFamily === chip), chip, info)
+    }));
+    const fitting = checked.filter(c => !c.problems.length);
+    for (const { release, problems } of checked.filter(c => c.problems.length)) {
+        log(`v${release.version} not offered: ${problems.join(" ")}`);
+    }
+    const unverified = [...new Set(fitting.flatMap(c => c.unverified))];
+    if (unverified.length) log(`⚠️ Could not verify ${unverified.join(", ")} against the firmware's requirements`);
+    return {
+        releases: fitting.map(c => c.release),
+        unverified,
+        problems: checked[0]?.problems || []
+    };
+}
+
+// Local files have no manifest, but they still have to fit the flash
+function checkLocalImagesFit(images, info) {
+    if (!info?.flashSize) return [];
+    const flashBytes = info.flashSize * 1024;
+    return images
+        .filter(img => img.offset + img.bytes.length > flashBytes)
+        .map(img => t("requirements.localFit", {
+            name: img.name,
+            size: formatBytes(img.bytes.length),
+            offset: "0x" + img.offset.toString(16),
+            flash: formatBytes(flashBytes)
+        }));
+}
+
+
+// ================================
+// PARTITION TABLE
+// ================================
+
+const PARTITION_TABLE_OFFSET = 0x8000;
+const PARTITION_TABLE_SIZE = 0xC00;
+const PARTITION_ENTRY_SIZE = 32;
+const PARTITION_MAGIC = 0x50AA;
+const PARTITION_MD5_MAGIC = 0xEBEB;
+
+const PARTITION_TYPES = { 0x00: "app", 0x01: "data" };
+const APP_SUBTYPES = { 0x00: "factory", 0x20: "test" };
+const DATA_SUBTYPES = {
+    0x00: "ota", 0x01: "phy", 0x02: "nvs", 0x03: "coredump", 0x04: "nvs_keys",
+    0x05: "efuse", 0x80: "esphttpd", 0x81: "fat", 0x82: "spiffs", 0x83: "littlefs"
+};
+
+async function readPartitionTable(loader) {
+    const bytes = await loader.readFlash(PARTITION_TABLE_OFFSET, PARTITION_TABLE_SIZE);
+    return parsePartitionTable(bytes);
+}
+
+// Parses an ESP-IDF binary partition table. Returns null when the first entry
+// is not a partition entry (blank flash, ESP8266 layout, garbage).
+function parsePartitionTable(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const entries = [];
+    for (let pos = 0; pos + PARTITION_ENTRY_SIZE <= bytes.length; pos += PARTITION_ENTRY_SIZE) {
+        const magic = view.getUint16(pos, true);
+        if (magic === PARTITION_MD5_MAGIC || magic === 0xFFFF) break;
+        if (magic !== PARTITION_MAGIC) return entries.length ? entries : null;
+
+        const type = bytes[pos + 2];
+        const subtype = bytes[pos + 3];
+        const labelBytes = bytes.subarray(pos + 12, pos + 28);
+        const nul = labelBytes.indexOf(0);
+        entries.push({
+            type,
+            subtype,
+            typeName: PARTITION_TYPES[type] || `0x${type.toString(16)}`,
+            subtypeName: partitionSubtypeName(type, subtype),
+            offset: view.getUint32(pos + 4, true),
+            size: view.getUint32(pos + 8, true),
+            label: new TextDecoder().decode(nul === -1 ? labelBytes : labelBytes.subarray(0, nul)),
+            flags: view.getUint32(pos + 28, true)
+        });
+    }
+    return entries.length ? entries : null;
+}
+
+function partitionSubtypeName(type, subtype) {
+    if (type === 0x00) {
+        if (subtype >= 0x10 && subtype < 0x20) return `ota_${subtype - 0x10}`;
+        return APP_SUBTYPES[subtype] || `0x${subtype.toString(16)}`;
+    }
+    if (type === 0x01) return DATA_SUBTYPES[subtype] || `0x${subtype.toString(16)}`;
+    return `0x${subtype.toString(16)}`;
+}
+
+// The app slot a fresh (otadata erased) bootloader starts from: factory, else ota_0.
+function bootAppPartition(partitions) {
+    return partitions.find(p => p.type === 0x00 && p.subtype === 0x00) ||
+        partitions.find(p => p.type === 0x00 && p.subtype === 0x10) ||
+        null;
+}
+
+// Compares the board's table with the one the update expects. Data partitions
+// must be identical, otherwise settings would be read from the wrong place.
+// appSize is optional; without it only the layout is compared.
+function checkPartitionLayout(devicePartitions, expectedPartitions, appSize = null) {
+    const problems = [];
+    if (!devicePartitions) {
+        return { appPartition: null, problems: [t("layout.noTable")] };
+    }
+    const appPartition = bootAppPartition(devicePartitions);
+    if (!appPartition) {
+        problems.push(t("layout.noApp"));
+    } else if (appSize !== null && appSize > appPartition.size) {
+        problems.push(t("layout.appTooBig", {
+            size: formatBytes(appSize),
+            label: appPartition.label,
+            partitionSize: formatBytes(appPartition.size)
+        }));
+    }
+
+    for (const expected of expectedPartitions || []) {
+        if (expected.type !== 0x01) continue;
+        const actual = devicePartitions.find(p => p.type === expected.type && p.subtype === expected.subtype && p.label === expected.label);
+        if (!actual) {
+            problems.push(t("layout.missing", { label: expected.label, subtype: expected.subtypeName }));
+        } else if (actual.offset !== expected.offset || actual.size !== expected.size) {
+            problems.push(t("layout.moved", {
+                label: expected.label,
+                offset: "0x" + actual.offset.toString(16),
+                size: formatBytes(actual.size),
+                expectedOffset: "0x" + expected.offset.toString(16),
+                expectedSize: formatBytes(expected.size)
+            }));
+        }
+    }
+    return { appPartition, problems };
+}
+
+const expectedLayoutCache = new Map();
+
+// The part that carries the build's partition table: its partitions.bin, or
+// the merged factory image, which holds the table at 0x8000.
+function layoutPartFor(build) {
+    return build.parts.find(p => p.type === "partitions") ||
+        build.parts.find(p => p.type === "factory" && p.offset <= PARTITION_TABLE_OFFSET) ||
+        null;
+}
+
+// Reads the layout the build's app expects from layoutPartFor(build). Returns
+// null when it can't be loaded; Keep Data is refused then.
+async function fetchExpectedLayout(layoutPart) {
+    if (!layoutPart) return null;
+    if (!expectedLayoutCache.has(layoutPart.url)) {
+        const start = PARTITION_TABLE_OFFSET - layoutPart.offset;
+        const end = start + PARTITION_TABLE_SIZE;
+        // Only the table is needed; a server (or the offline cache) that
+        // ignores the range sends the whole image instead
+        const pending = fetch(layoutPart.url, { headers: { Range: `bytes=${start}-${end - 1}` } })
+            .then(async r => {
+                if (!r.ok) throw new Error(r.statusText);
+                const buf = await r.arrayBuffer();
+                return r.status === 206 ? buf : buf.slice(start, end);
+            })
+            .then(buf => parsePartitionTable(new Uint8Array(buf)))
+            .catch(e => {
+                log(`⚠️ Could not load ${layoutPart.path}: ${e.message}`);
+                expectedLayoutCache.delete(layoutPart.url);
+                return null;
+            });
+        expectedLayoutCache.set(layoutPart.url, pending);
+    }
+    return expectedLayoutCache.get(layoutPart.url);
+}
+
+// ================================
+// INSTALLED FIRMWARE
+// ================================
+
+const APP_DESC_OFFSET = 0x20;       // image header (24 bytes) + first segment header (8 bytes)
+const APP_DESC_MAGIC = 0xABCD5432;
+const OTADATA_ENTRY_SIZE = 32;
+
+// The OTA slot the bootloader will run, from the two otadata sectors.
+// Falls back to factory / ota_0 when otadata is blank.
+async function activeAppPartition(loader, partitions) {
+    const otadata = partitions.find(p => p.type === 0x01 && p.subtype === 0x00);
+    const otaSlots = partitions
+        .filter(p => p.type === 0x00 && p.subtype >= 0x10 && p.subtype < 0x20)
+        .sort((a, b) => a.subtype - b.subtype);
+    if (otadata && otaSlots.length) {
+        let bestSeq = 0;
+        for (const sector of [0, FLASH_SECTOR_SIZE]) {
+            const entry = await loader.readFlash(otadata.offset + sector, OTADATA_ENTRY_SIZE);
+            const seq = new DataView(entry.buffer, entry.byteOffset, entry.byteLength).getUint32(0, true);
+            if (seq !== 0xFFFFFFFF && seq > bestSeq) bestSeq = seq;
+        }
+        if (bestSeq > 0) return otaSlots[(bestSeq - 1) % otaSlots.length];
+    }
+    return bootAppPartition(partitions);
+}
+
+// Reads esp_app_desc_t from the start of an app image. Returns null when the
+// bytes are not an ESP-IDF app image carrying a descriptor.
+function parseAppDescriptor(bytes) {
+    if (bytes[0] !== ESP_IMAGE_MAGIC) return null;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (view.getUint32(APP_DESC_OFFSET, true) !== APP_DESC_MAGIC) return null;
+    const text = (start, length) => {
+        const slice = bytes.subarray(APP_DESC_OFFSET + start, APP_DESC_OFFSET + start + length);
+        const nul = slice.indexOf(0);
+        return new TextDecoder().decode(nul === -1 ? slice : slice.subarray(0, nul));
+    };
+    return {
+        version: text(0x10, 32),
+        projectName: text(0x30, 32),
+        time: text(0x50, 16),
+        date: text(0x60, 16),
+        idfVersion: text(0x70, 32),
+        elfSha256: [...bytes.subarray(APP_DESC_OFFSET + 0x90, APP_DESC_OFFSET + 0xB0)]
+            .map(b => b.toString(16).padStart(2, "0")).join("")
+    };
+}
+
+// App parts published for a chip, across every release in the manifest
+function knownAppParts(chip) {
+    return allReleases().flatMap(release => {
+        const build = release.builds.find(b => b.chipFamily === chip);
+        return (build?.parts || [])
+            .filter(p => p.type === "app")
+            .map(part => ({ release, part }));
+    });
+}
+
+// Arduino builds all report project "arduino-lib-builder", so releases are
+// told apart by the ELF SHA-256 embedded in the descriptor.
+async function identifyESP32Firmware(loader, chip, partitions) {
+    const app = await activeAppPartition(loader, partitions);
+    if (!app) return null;
+    const header = await loader.readFlash(app.offset, 0x100);
+    if (header[0] !== ESP_IMAGE_MAGIC) {
+        log(`No app image in "${app.label}"`);
+        return { kind: "empty" };
+    }
+    const desc = parseAppDescriptor(header);
+    if (!desc) return { kind: "other", description: "Unknown app image" };
+    log(`Installed app in "${app.label}": ${desc.projectName} ${desc.version} ` +
+        `(${desc.date} ${desc.time}, IDF ${desc.idfVersion})`);
+
+    const match = knownAppParts(chip).find(({ part }) => part.elf_sha256?.toLowerCase() === desc.elfSha256);
+    if (match) return { kind: "esptimecast", version: match.release.version };
+    return { kind: "other", description: `${desc.projectName} ${desc.version}`.trim() };
+}
+
+// ESP8266 images carry no descriptor; compare the on-chip MD5 of the app
+// region with the MD5 published for each release instead.
+async function identifyESP8266Firmware(loader) {
+    const first = await loader.readFlash(0, 4);
+    if (first[0] !== ESP_IMAGE_MAGIC) return { kind: "empty" };
+    for (const { release, part } of knownAppParts("ESP8266")) {
+        if (!part.md5) continue;
+        const size = await fetchPartSize(part);
+        if (!size) continue;
+        const actual = await loader.flashMd5sum(part.offset, size);
+        if (actual === part.md5.toLowerCase()) return { kind: "esptimecast", version: release.version };
+    }
+    return { kind: "other", description: "Unrecognised firmware" };
+}
+
+// Size of a part as written (padded to 4 bytes), without downloading it
+async function fetchPartSize(part) {
+    try {
+        const response = await fetch(part.url, { method: "HEAD", cache: "no-cache" });
+        const length = Number(response.headers.get("Content-Length"));
+        return response.ok && length ? Math.ceil(length / 4) * 4 : null;
+    } catch {
+        return null;
+    }
+}
+
+function renderInstalledFirmware() {
+    const el = document.getElementById("confirm-installed");
+    const ctx = currentInstallContext;
+    if (!el || !ctx) return;
+    const installed = ctx.device?.installed;
+    el.classList.remove("warning-text");
+    el.title = "";
+
+    if (!installed || ctx.localImages) {
+        el.hidden = true;
+        return;
+    }
+    el.hidden = false;
+    if (installed.kind === "esptimecast") {
+        const key = installed.version === ctx.version ? "confirm.reinstalling" : "confirm.installedEsptimecast";
+        el.innerHTML = t(key, { installed: formatVersion(installed.version), version: formatVersion(ctx.version) });
+    } else if (installed.kind === "empty") {
+        el.textContent = t("confirm.noFirmware");
+    } else {
+        el.classList.add("warning-text");
+        el.title = installed.description || "";
+        el.innerHTML = t(shouldKeepData() ? "confirm.otherFirmwareKeepData" : "confirm.otherFirmware");
+    }
+}
+
+class LayoutMismatchError extends Error {
+    constructor(problems) {
+        super(problems.join("\n"));
+        this.name = "LayoutMismatchError";
+        this.problems = problems;
+    }
+}
+
+// Keep Data update: read the live table, move the app image to the partition
+// the bootloader will start, and reset otadata so an older OTA slot isn't
+// booted instead. Refuses rather than writing over settings.
+async function retargetToPartitionTable(loader, images, layoutPart) {
+    setFlashingTitle(t("flashing.readingPartitions"));
+    const devicePartitions = await readPartitionTable(loader);
+    const expected = await fetchExpectedLayout(layoutPart);
+    if (!expected) {
+        log("❌ Layout: no partition layout published for this build");
+        throw new LayoutMismatchError([t("layout.notPublished")]);
+    }
+    const app = images.find(({ part }) => part.type === "app");
+    const { appPartition, problems } = checkPartitionLayout(devicePartitions, expected, app?.bytes.length ?? null);
+    if (problems.length) {
+        problems.forEach(p => log("❌ Layout: " + p));
+        throw new LayoutMismatchError(problems);
+    }
+
+    if (app && app.part.offset !== appPartition.offset) {
+        log(`App offset taken from partition table: 0x${appPartition.offset.toString(16)} ("${appPartition.label}")`);
+        app.part = { ...app.part, offset: appPartition.offset };
+    }
+    const otadata = devicePartitions.find(p => p.type === 0x01 && p.subtype === 0x00);
+    if (otadata) {
+        log(`Resetting otadata at 0x${otadata.offset.toString(16)}`);
+        images.push({
+            part: { path: "otadata (reset)", offset: otadata.offset, type: "boot_app0" },
+            bytes: new Uint8Array(otadata.size).fill(0xFF)
+        });
+        images.sort((a, b) => a.part.offset - b.part.offset);
+    }
+}
+
+// Confirm slide: pre-check Keep Data against the probed table so the user
+// hears about a mismatch before anything is written.
+async function evaluateLayout() {
+    const ctx = currentInstallContext;
+    if (!ctx) return;
+    ctx.layoutProblems = null;
+    ctx.layoutUnknown = false;
+    if (ctx.localImages || !ctx.build || !ctx.chip.startsWith("ESP32")) {
+        updateConfirmText(false);
+        return;
+    }
+    const build = ctx.build;
+    const expected = await fetchExpectedLayout(layoutPartFor(build));
+    if (currentInstallContext !== ctx || ctx.build !== build) return;
+    // Without the build's partition table the data partitions can't be
+    // checked, so Keep Data is refused rather than risked
+    ctx.layoutUnknown = !expected;
+    if (!expected) {
+        log(`⚠️ No partition layout published for v${ctx.version}; Keep Data unavailable`);
+    } else if (ctx.device?.partitions) {
+        ctx.layoutProblems = checkPartitionLayout(ctx.device.partitions, expected).problems;
+        ctx.layoutProblems.forEach(p => log("⚠️ Layout: " + p));
+    }
+    updateConfirmText(false);
+}
+
+function renderPartitionPanel(partitions, chip) {
+    const panel = document.getElementById("confirm-partitions");
+    if (!panel) return;
+    const tbody = panel.querySelector("tbody");
+    tbody.innerHTML = "";
+    panel.hidden = !chip.startsWith("ESP32");
+    panel.querySelector(".partitions-empty").hidden = !!partitions;
+    for (const p of partitions || []) {
+        const row = document.createElement("tr");
+        for (const cell of [p.label, p.typeName, p.subtypeName, "0x" + p.offset.toString(16), formatBytes(p.size)]) {
+            const td = document.createElement("td");
+            td.textContent = cell;
+            row.appendChild(td);
+        }
+        tbody.appendChild(row);
+    }
+}
+
+/* ============================================================
+   SECTION 7: FLASHING
+   ============================================================ */
+function handleFlashStageMessage(msg) {
+    const lower = msg.toLowerCase();
+    if (lower.includes("erase") || lower.includes("erasing")) {
+        setFlashingTitle(t("flashing.erasing"));
+    }
+    else if (lower.includes("writing")) {
+        setFlashingTitle(t("flashing.writing"));
+    }
+}
+
+// `baudrate` overrides the chip profile; `resume` carries state between retries
+// (see flashFirmwareWithRetry) and picks up where the last attempt stopped.
+async function flashFirmware(port, chip, parts, {
+    layoutPart = null, checkLayout = false, provision = false, build = null, baudrate: baudOverride = null, resume = {}
+} = {}) {
+    log("Starting flash using esptool-js...");
+    const initStart = Date.now();
+    let transport = null;
+    let rebooted = false;
+    let stage = "connect";
+    try {
+        const settings = connectionSettings(port, chip, build);
+        const { isNativeUSB, connectMode, resetAfterFlash } = settings;
+        const baudrate = baudOverride || settings.baudrate;
+        log(`Connection: ${isNativeUSB ? "native USB" : "UART bridge"}, ${connectMode}, ${baudrate} baud`);
+        transport = new Transport(port, !isNativeUSB); // tracing only behind a UART bridge
+        const loader = new ESPLoader({
+            transport,
+            baudrate,
+            terminal: {
+                clean: () => { },
+                writeLine: (msg) => {
+                    log(msg);
+                    handleFlashStageMessage(msg);
+                },
+                write: (msg) => {
+                    log(msg);
+                }
+            }
+        });
+        log(`Connecting to ${chip}...`);
+        await connectLoader(loader, connectMode);
+        log(`Connected. Chip: ${loader.chip.CHIP_NAME}`);
+        if (installSession && !installSession.mac) {
+            installSession.mac = await loader.chip.readMac(loader).catch(() => null);
+        }
+        if (!resume.blocks) {
+            stage = "prepare";
+            await prepareFlash(loader, chip, parts, { layoutPart, checkLayout, resume });
+            // Ensure Initializing is visible at least 1.5s
+            const initElapsed = Date.now() - initStart;
+            if (initElapsed < 2000) {
+                await sleep(2000 - initElapsed);
+            }
+            if (!resume.keepData && shouldBackupBeforeErase()) {
+                stage = "backup";
+                await backupFlash(loader, chip, resume.flashBytes);
+            }
+        }
+        const { images, keepData, isRestore } = resume;
+        stage = "write";
+        if (!resume.compared) {
+            if (keepData) await skipUnchangedSectors(loader, resume);
+            resume.compared = true;
+        }
+        const { blocks } = resume;
+        let start = 0;
+        if (resume.written) {
+            start = await firstUnverifiedBlock(loader, blocks, resume.written);
+            const verified = blocksSize(blocks.slice(0, start));
+            log(`Resuming at block ${start + 1} of ${blocks.length}: ${formatBytes(verified)} already verified on the board`);
+            if (verified) setFlashingRetry(t("flashing.resuming", { note: resume.note, size: formatBytes(verified) }));
+        }
+        log("Uploading firmware...");
+        //setFlashingTitle("Flashing firmware...");
+        switchToProgressRing();
+        log("==================================================");
+        log("INSTALL SESSION");
+        log(`Chip: ${chip}`);
+        log(`Mode: ${isRestore ? "Restore Backup" : keepData ? "Update (Keep Data)" : "Factory (Erase All)"}`);
+        for (const { part, bytes } of images) {
+            log(`Part: ${part.type || "data"} ${part.path.split('/').pop()} → 0x${part.offset.toString(16).toUpperCase()} (${bytes.length} bytes)`);
+        }
+        log(`Erase All Before Flash: ${!resume.erased}`);
+        log("==================================================");
+        await writeFlashBlocks(loader, resume, start);
+        // Flash finished, read every written region back before calling it a success
+        stage = "verify";
+        setFlashingTitle(t("flashing.verifying"));
+        await verifyFlashedImages(loader, images);
+        stage = "reboot";
+        const finalizeStart = Date.now();
+        setFlashingTitle(t("flashing.finalizing"));
+        updateProgressRing(100);
+        // Ensure Finalizing is visible at least 1.5s
+        const finalizeElapsed = Date.now() - finalizeStart;
+        if (finalizeElapsed < 2000) {
+            await sleep(2000 - finalizeElapsed);
+        }
+        log("Flash complete. Rebooting device...");
+        try {
+            if (resetAfterFlash) {
+                log(`Will perform UART reset for ${chip}...`);
+                await transport.setDTR(false);
+                await sleep(100);
+                await transport.setDTR(true);
+                log(`✅ ${chip} UART reset complete.`);
+                rebooted = true;
+            } else {
+                log(`UART reset not available on this board: ${chip}`);
+            }
+        } catch (e) {
+            log("⚠️ Reboot handling failed: " + e.message);
+        }
+        log("Installation complete! Device should now reboot.");
+    } catch (err) {
+        log("❌ Flash Error: " + err.message);
+        console.error(err);
+        err.flashStage ??= stage;
+        throw err;
+    } finally {
+        try {
+            await finalizeConnection({ port, transport });
+        } catch (cleanupError) {
+            log("Cleanup error: " + cleanupError.message);
+        }
+    }
+
+    // The port is free again; the freshly booted firmware can take Wi-Fi now
+    if (rebooted && provision) {
+        await provisionWifi(port);
+    } else {
+        installSuccess(rebooted);
+    }
+}
+
+// Downloads and checks the images once per install; retries reuse them. Fills
+// in resume.{images, blocks, keepData, isRestore, flashBytes, erased}.
+async function prepareFlash(loader, chip, parts, { layoutPart, checkLayout, resume }) {
+    log("Fetching firmware...");
+    const images = [];
+    for (const part of parts) {
+        if (part.data) {
+            log(`Local file: ${part.path} (${part.data.length} bytes)`);
+            images.push({ part, bytes: part.data });
+            continue;
+        }
+        const response = await fetch(part.url);
+        if (!response.ok) throw new InstallError("fetch", t("errors.fetchFailed", { path: part.path, status: response.statusText }));
+        const contents = await response.arrayBuffer();
+        log(`Firmware loaded: ${part.path} (${contents.byteLength} bytes)`);
+        const bytes = new Uint8Array(contents);
+        await verifyDownloadHash(part, bytes);
+        images.push({ part, bytes });
+    }
+    if (checkLayout && shouldKeepData() && chip.startsWith("ESP32")) {
+        await retargetToPartitionTable(loader, images, layoutPart);
+    }
+    const flashBytes = await checkFlashCapacity(loader, images);
+    const isRestore = images.some(({ part }) => part.type === "backup");
+    if (isRestore && flashBytes && images[0].bytes.length !== flashBytes) {
+        throw new InstallError("backup", t("errors.backupMismatch", {
+            size: formatBytes(images[0].bytes.length),
+            flash: formatBytes(flashBytes)
+        }));
+    }
+    // A restore rewrites every byte anyway, so it never erases first
+    const keepData = shouldKeepData() || isRestore;
+    Object.assign(resume, {
+        images,
+        blocks: splitIntoBlocks(images),
+        keepData,
+        isRestore,
+        flashBytes,
+        erased: keepData,   // nothing to erase, or erase-all already done
+        written: 0          // blocks known to be complete
+    });
+}
+
+// ---------- Resumable writes ----------
+
+// Images go down in blocks of this size so a retry can skip what made it
+const FLASH_BLOCK_SIZE = 0x10000;
+
+// The images as esptool-js writes them (padded to 4 bytes), cut into blocks
+function splitIntoBlocks(images) {
+    const blocks = [];
+    for (const { part, bytes } of images) {
+        const padded = padTo4(bytes);
+        for (let at = 0; at < padded.length; at += FLASH_BLOCK_SIZE) {
+            blocks.push({ part, offset: part.offset + at, bytes: padded.subarray(at, at + FLASH_BLOCK_SIZE) });
+        }
+    }
+    return blocks;
+}
+
+function blocksSize(blocks) {
+    return blocks.reduce((n, b) => n + b.bytes.length, 0);
+}
+
+async function flashMatches(loader, offset, bytes) {
+    return await loader.flashMd5sum(offset, bytes.length) === md5Hex(bytes);
+}
+
+// Index of the first of the `count` blocks an earlier attempt finished whose
+// flash contents don't match any more
+async function firstUnverifiedBlock(loader, blocks, count) {
+    for (let i = 0; i < count; i++) {
+        if (!await flashMatches(loader, blocks[i].offset, blocks[i].bytes)) return i;
+    }
+    return count;
+}
+
+// Writes resume.blocks from `start` on. esptool-js reports progress per
+// file, and every block before the one it starts on is complete.
+async function writeFlashBlocks(loader, resume, start) {
+    const { blocks } = resume;
+    const pending = blocks.slice(start);
+    if (!pending.length) {
+        log("Nothing left to write");
+        updateProgressRing(100);
+        return;
+    }
+    const total = blocksSize(blocks);
+    const doneBefore = [];
+    let done = blocksSize(blocks.slice(0, start));
+    for (const block of pending) {
+        doneBefore.push(done);
+        done += block.bytes.length;
+    }
+    await loader.writeFlash({
+        fileArray: pending.map(block => ({ data: toBinaryString(block.bytes), address: block.offset })),
+        flashSize: "keep",
+        flashMode: "keep",
+        flashFreq: "keep",
+        eraseAll: !resume.erased,
+        compress: true,
+        reportProgress: (index, written, size) => {
+            resume.erased = true;
+            resume.written = start + index;
+            const bytes = doneBefore[index] + pending[index].bytes.length * (size ? written / size : 1);
+            updateProgressRing(Math.round(bytes / total * 100));
+        }
+    });
+    resume.written = blocks.length;
+}
+
+// ---------- Differential writes ----------
+
+// Keep Data updates and restores don't erase first, so whatever already
+// matches on the board can stay. Narrows resume.blocks down to what differs.
+async function skipUnchangedSectors(loader, resume) {
+    setFlashingTitle(t("flashing.comparing"));
+    const total = blocksSize(resume.blocks);
+    resume.blocks = await changedBlocks(loader, resume.blocks);
+    const skipped = total - blocksSize(resume.blocks);
+    log(`Differential flash: ${formatBytes(skipped)} of ${formatBytes(total)} unchanged, ` +
+        `${resume.blocks.length} range(s) to write`);
+    setFlashingSkipped(skipped ? t("flashing.skipped", { skipped: formatBytes(skipped), total: formatBytes(total) }) : null);
+}
+
+// Whole blocks are compared first, then the sectors of the blocks that differ;
+// each run of changed sectors becomes a block of its own.
+async function changedBlocks(loader, blocks) {
+    const changed = [];
+    for (const block of blocks) {
+        if (await flashMatches(loader, block.offset, block.bytes)) continue;
+        let run = null;
+        for (let at = 0; at < block.bytes.length; at += FLASH_SECTOR_SIZE) {
+            const bytes = block.bytes.subarray(at, at + FLASH_SECTOR_SIZE);
+            if (await flashMatches(loader, block.offset + at, bytes)) {
+                run = null;
+            } else if (run) {
+                run.bytes = block.bytes.subarray(run.offset - block.offset, at + bytes.length);
+            } else {
+                run = { part: block.part, offset: block.offset + at, bytes };
+                changed.push(run);
+            }
+        }
+    }
+    return changed;
+}
+
+
+// ================================
+// FLASH BACKUP
+// ================================
+
+// Reads the whole flash and hands it to the browser as a download, so a
+// factory install never destroys the only copy of a board's contents.
+async function backupFlash(loader, chip, flashBytes) {
+    if (!flashBytes) {
+        throw new InstallError("backup", t("errors.backupNoFlashSize"));
+    }
+    log(`Backing up ${formatBytes(flashBytes)} of flash...`);
+    setFlashingTitle(t("flashing.backingUp"));
+    switchToProgressRing();
+
+    const started = Date.now();
+    const data = await loader.readFlash(0, flashBytes, (_packet, received, total) => {
+        updateProgressRing((received / total) * 100);
+    });
+    log(`Backup read in ${Math.round((Date.now() - started) / 1000)}s`);
+
+    let mac = "unknown";
+    try {
+        mac = (await loader.chip.readMac(loader)).replace(/:/g, "");
+    } catch { }
+    const date = new Date().toISOString().slice(0, 10);
+    downloadBlob(
+        new Blob([data], { type: "application/octet-stream" }),
+        `esptimecast-backup-${chip.toLowerCase()}-${mac}-${date}.bin`
+    );
+    log("✅ Backup downloaded");
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function shouldBackupBeforeErase() {
+    return localStorage.getItem('backupBeforeErase') === 'true';
+}
+
+async function restoreBackup(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    if (bytes.length === 0 || bytes.length % FLASH_SECTOR_SIZE !== 0) {
+        slideFailure("backup", { error: t("errors.notBackup", { name: file.name }) });
+        return;
+    }
+    log(`Restoring backup ${file.name} (${bytes.length} bytes)`);
+    hideHints();
+    try {
+        await runFlasher({
+            localImages: [{ name: file.name, offset: 0, bytes }],
+            restore: true
+        });
+    } catch (e) {
+        log("❌ Fatal error: " + e.message);
+        slideFailure(classifyFailure(e), { error: e, retry: () => restoreBackup(file) });
+    }
+}
+
+// ================================
+// INTEGRITY CHECKS
+// ================================
+// Errors the installer raises itself carry their FAILURE_CATEGORIES key, so
+// classifying them doesn't depend on the (translated) message.
+class InstallError extends Error {
+    constructor(category, message) {
+        super(message);
+        this.name = "InstallError";
+        this.category = category;
+    }
+}
+
+class VerificationError extends Error {
+    constructor(message, { stage, part, expected, actual }) {
+        super(message);
+        this.name = "VerificationError";
+        this.stage = stage;       // "download" (nothing written) or "readback"
+        this.part = part;
+        this.expected = expected;
+        this.actual = actual;
+    }
+}
+
+async function sha256Hex(bytes) {
+    const digest = await crypto.subtle.digest("SHA-256", bytes);
+    return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+async function verifyDownloadHash(part, bytes) {
+    if (!part.sha256) {
+        log(`⚠️ No SHA-256 published for ${part.path}, skipping download check`);
+        return;
+    }
+    const actual = await sha256Hex(bytes);
+    if (actual !== part.sha256.toLowerCase()) {
+        log(`❌ SHA-256 mismatch for ${part.path}: expected ${part.sha256}, got ${actual}`);
+        throw new VerificationError(t("errors.downloadCorrupted", { path: part.path }), {
+            stage: "download", part, expected: part.sha256.toLowerCase(), actual
+        });
+    }
+    log(`SHA-256 OK: ${part.path}`);
+}
+
+// Asks the flasher stub for the MD5 of each written region and compares it with
+// the image as esptool-js wrote it (padded to 4 bytes with 0xFF).
+async function verifyFlashedImages(loader, images) {
+    for (const { part, bytes } of images) {
+        const written = padTo4(bytes);
+        const expected = md5Hex(written);
+        const actual = await loader.flashMd5sum(part.offset, written.length);
+        if (actual !== expected) {
+            log(`❌ MD5 mismatch at 0x${part.offset.toString(16)}: image ${expected}, flash ${actual}`);
+            throw new VerificationError(t("errors.flashMismatch", { offset: "0x" + part.offset.toString(16), path: part.path }), {
+                stage: "readback", part, expected, actual
+            });
+        }
+        log(`MD5 OK: ${part.path} @ 0x${part.offset.toString(16)}`);
+    }
+}
+
+// Returns the detected flash size in bytes, or null when the chip won't say.
+async function checkFlashCapacity(loader, images) {
+    const flashKB = await loader.getFlashSize();
+    if (!flashKB) {
+        log("⚠️ Could not detect flash size, skipping capacity check");
+        return null;
+    }
+    const flashBytes = flashKB * 1024;
+    log(`Detected flash size: ${formatBytes(flashBytes)}`);
+    for (const { part, bytes } of images) {
+        if (part.offset + bytes.length > flashBytes) {
+            throw new InstallError("flash-size", t("errors.doesNotFit", {
+                path: part.path,
+                size: formatBytes(bytes.length),
+                offset: "0x" + part.offset.toString(16),
+                flash: formatBytes(flashBytes)
+            }));
+        }
+    }
+    return flashBytes;
+}
+
+function formatBytes(n) {
+    if (n >= 1024 * 1024 && n % (1024 * 1024) === 0) return `${n / (1024 * 1024)} MB`;
+    if (n >= 1024) return `${Math.round(n / 1024)} KB`;
+    return `${n} bytes`;
+}
+
+function padTo4(bytes) {
+    const rem = bytes.length % 4;
+    if (rem === 0) return bytes;
+    const padded = new Uint8Array(bytes.length + 4 - rem).fill(0xFF);
+    padded.set(bytes);
+    return padded;
+}
+
+// WebCrypto has no MD5, which is what the ROM/stub SPI_FLASH_MD5 command returns.
+const MD5_SHIFTS = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+const MD5_TABLE = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32) >>> 0);
+
+function md5Hex(bytes) {
+    const bitLength = bytes.length * 8;
+    const paddedLength = (((bytes.length + 8) >> 6) + 1) << 6;
+    const buffer = new Uint8Array(paddedLength);
+    buffer.set(bytes);
+    buffer[bytes.length] = 0x80;
+    const view = new DataView(buffer.buffer);
+    view.setUint32(paddedLength - 8, bitLength >>> 0, true);
+    view.setUint32(paddedLength - 4, Math.floor(bitLength / 2 ** 32), true);
+
+    let a0 = 0x67452301, b0 = 0xefcdab89, c0 = 0x98badcfe, d0 = 0x10325476;
+    const m = new Uint32Array(16);
+    for (let offset = 0; offset < paddedLength; offset += 64) {
+        for (let i = 0; i < 16; i++) m[i] = view.getUint32(offset + i * 4, true);
+        let a = a0, b = b0, c = c0, d = d0;
+        for (let i = 0; i < 64; i++) {
+            let f, g;
+            if (i < 16) { f = (b & c) | (~b & d); g = i; }
+            else if (i < 32) { f = (d & b) | (~d & c); g = (5 * i + 1) % 16; }
+            else if (i < 48) { f = b ^ c ^ d; g = (3 * i + 5) % 16; }
+            else { f = c ^ (b | ~d); g = (7 * i) % 16; }
+            const shift = MD5_SHIFTS[(i >> 4) * 4 + (i % 4)];
+            const sum = (a + f + MD5_TABLE[i] + m[g]) >>> 0;
+            a = d; d = c; c = b;
+            b = (b + ((sum << shift) | (sum >>> (32 - shift)))) >>> 0;
+        }
+        a0 = (a0 + a) >>> 0; b0 = (b0 + b) >>> 0; c0 = (c0 + c) >>> 0; d0 = (d0 + d) >>> 0;
+    }
+
+    const out = new DataView(new ArrayBuffer(16));
+    [a0, b0, c0, d0].forEach((word, i) => out.setUint32(i * 4, word, true));
+    return [...new Uint8Array(out.buffer)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+// esptool-js expects image data as a binary string
+function toBinaryString(uint8) {
+    let binaryString = "";
+    const CHUNK_SIZE = 8192;
+    for (let i = 0; i < uint8.length; i += CHUNK_SIZE) {
+        binaryString += String.fromCharCode.apply(null, uint8.subarray(i, i + CHUNK_SIZE));
+    }
+    return binaryString;
+}
+
+// ================================
+// PROGRESS INDICATOR
+// ================================
 let progressRingBar = null;
 let progressText = null;
 let progressWrapper = null;
 let progressCircumference = 0;
 
-function ensureProgressRing() {
-    const status = document.getElementById("flashing-status");
-    if (!status) return null;
+function ensureProgressRing() {
+    const status = document.getElementById("flashing-status");
+    if (!status) return null;
+
+    if (progressRingBar && progressWrapper && status.contains(progressWrapper)) {
+        return progressRingBar;
+    }
+
+    const wrapper = document.createElement("div");
+    wrapper.className = "progress-ring-wrapper hidden";
+    wrapper.setAttribute("role", "progressbar");
+    wrapper.setAttribute("aria-valuemin", "0");
+    wrapper.setAttribute("aria-valuemax", "100");
+
+    wrapper.innerHTML = `
+        <svg width="56" height="56" viewBox="0 0 48 48" aria-hidden="true">
+            <circle class="progress-ring-track" cx="24" cy="24" r="20"></circle>
+            <circle class="progress-ring-bar" cx="24" cy="24" r="20"></circle>
+        </svg>
+        <div class="progress-text" aria-hidden="true">0%</div>
+    `;
+
+    status.appendChild(wrapper);
+
+    progressWrapper = wrapper;
+    progressRingBar = wrapper.querySelector(".progress-ring-bar");
+    progressText = wrapper.querySelector(".progress-text");
+
+    const radius = progressRingBar.r.baseVal.value;
+    progressCircumference = 2 * Math.PI * radius;
+
+    progressRingBar.style.strokeDasharray = progressCircumference;
+    progressRingBar.style.strokeDashoffset = progressCircumference;
+
+    return progressRingBar;
+}
+
+function showProgressRing() {
+    ensureProgressRing();
+    if (!progressWrapper) return;
+
+    progressWrapper.classList.remove("hidden");
+    requestAnimationFrame(() => {
+        progressWrapper.classList.add("visible");
+    });
+
+    visualProgress = 0;
+    targetProgress = 0;
+    announcedProgress = 0;
+    progressWrapper.setAttribute("aria-label", t("a11y.progress"));
+    progressWrapper.setAttribute("aria-valuenow", "0");
+
+    progressRingBar.style.strokeDashoffset = progressCircumference;
+    progressText.textContent = formatPercent(0);
+}
+
+function updateProgressRing(percent) {
+    if (!progressRingBar) return;
+    targetProgress = Math.max(0, Math.min(100, percent));
+    progressWrapper.setAttribute("aria-valuenow", String(Math.round(targetProgress)));
+    // The ring animates every frame; screen readers hear every quarter
+    const milestone = Math.floor(targetProgress / PROGRESS_ANNOUNCE_STEP) * PROGRESS_ANNOUNCE_STEP;
+    if (milestone > announcedProgress) {
+        announcedProgress = milestone;
+        announce(t("a11y.progressValue", { percent: formatPercent(milestone / 100) }));
+    }
+    if (!progressAnimationFrame) {
+        const step = () => {
+            const diff = targetProgress - visualProgress;
+            if (Math.abs(diff) < 0.1) {
+                visualProgress = targetProgress;
+            } else {
+                visualProgress += diff * 0.15; // smooth easing
+            }
+            const offset =
+                progressCircumference -
+                (visualProgress / 100) * progressCircumference;
+            progressRingBar.style.strokeDashoffset = offset;
+            progressText.textContent = formatPercent(visualProgress / 100);
+            if (visualProgress !== targetProgress) {
+                progressAnimationFrame = requestAnimationFrame(step);
+            } else {
+                progressAnimationFrame = null;
+            }
+        };
+        progressAnimationFrame = requestAnimationFrame(step);
+    }
+}
+
+let visualProgress = 0;
+let targetProgress = 0;
+let progressAnimationFrame = null;
+let announcedProgress = 0;
+const PROGRESS_ANNOUNCE_STEP = 25;
+
+// ================================
+// WI-FI PROVISIONING (Improv Serial)
+// ================================
+
+const IMPROV_BOOT_TIMEOUT = 10000;
+
+// Runs after a successful install and reset. Firmware without Improv support
+// simply times out and the usual success screen is shown.
+async function provisionWifi(port) {
+    let improv = null;
+    let wifi = null;
+    try {
+        setFlashingTitle(t("flashing.waiting"));
+        await port.open({ baudRate: 115200 });
+        // Release EN / IO0 so the board keeps running the new firmware
+        await port.setSignals({ dataTerminalReady: false, requestToSend: false });
+
+        improv = new ImprovSerial(port, { logger: log });
+        const info = await improv.initialize(IMPROV_BOOT_TIMEOUT);
+        log(`Improv: ${info ? `${info.firmware} ${info.version} on ${info.chipFamily}` : "device"} ` +
+            `in state 0x${improv.state.toString(16)}`);
+
+        if (improv.state === IMPROV_STATE.PROVISIONED) {
+            wifi = { ssid: null, url: improv.nextUrl };
+        } else {
+            wifi = await slideProvision(improv, info);
+        }
+    } catch (e) {
+        log("Wi-Fi provisioning unavailable: " + e.message);
+    } finally {
+        await improv?.close();
+        await finalizeConnection({ port });
+    }
+    installSuccess(true, wifi);
+}
+
+// Resolves with { ssid, url } once connected, or null when the user skips
+function slideProvision(improv, info) {
+    const form = document.getElementById("provision-form");
+    const ssidInput = document.getElementById("provision-ssid");
+    const passwordInput = document.getElementById("provision-password");
+    const networks = document.getElementById("provision-networks");
+    const rescan = document.getElementById("provision-rescan");
+    const errorEl = document.getElementById("provision-error");
+    const connectBtn = document.getElementById("provision-connect");
+    const skipBtn = document.getElementById("provision-skip");
+
+    document.getElementById("provision-device").textContent = info?.name
+        ? t("provision.sendTo", { name: info.name })
+        : t("provision.sendToDevice");
+    passwordInput.value = "";
+    errorEl.textContent = "";
+    goToSlide("provision");
+
+    let busy = false;
+    const setBusy = (value, label = t("provision.connect")) => {
+        busy = value;
+        connectBtn.disabled = value;
+        rescan.disabled = value;
+        connectBtn.textContent = label;
+    };
+
+    const scan = async () => {
+        setBusy(true);
+        rescan.textContent = t("provision.scanning");
+        try {
+            const found = await improv.scan();
+            networks.replaceChildren(...found.map(n => {
+                const option = document.createElement("option");
+                option.value = n.ssid;
+                option.label = `${n.ssid} · ${n.rssi} dBm${n.secured ? " · 🔒" : ""}`;
+                return option;
+            }));
+            if (!ssidInput.value && found.length) ssidInput.value = found[0].ssid;
+            rescan.hidden = false;
+        } catch (e) {
+            log("Wi-Fi scan failed: " + e.message);
+            // Firmware without scan support: type the network name instead
+            rescan.hidden = e.code === IMPROV_ERROR.UNKNOWN_RPC;
+        } finally {
+            rescan.textContent = t("provision.scanAgain");
+            setBusy(false);
+        }
+    };
+    rescan.onclick = scan;
+    scan();
+
+    return new Promise(resolve => {
+        const done = (result) => {
+            improv.removeEventListener("closed", onGone);
+            improv.port.removeEventListener?.("disconnect", onGone);
+            resolve(result);
+        };
+        // Unplugged while the form is open: nothing left to send the network to
+        const onGone = () => {
+            log("⚠️ Board disconnected during Wi-Fi setup");
+            done(null);
+        };
+        improv.addEventListener("closed", onGone);
+        improv.port.addEventListener?.("disconnect", onGone);
+
+        skipBtn.onclick = () => {
+            log("User skipped Wi-Fi setup");
+            done(null);
+        };
+        form.onsubmit = async (e) => {
+            e.preventDefault();
+            if (busy) return;
+            const ssid = ssidInput.value.trim();
+            if (!ssid) return;
+            errorEl.textContent = "";
+            setBusy(true, t("provision.connecting"));
+            try {
+                const url = await improv.provision(ssid, passwordInput.value);
+                log(`✅ Connected to "${ssid}"${url ? ` · ${url}` : ""}`);
+                done({ ssid, url });
+            } catch (err) {
+                log("❌ Provisioning failed: " + err.message);
+                errorEl.textContent = provisionErrorMessage(err, ssid);
+                if (err.code === "closed") done(null);
+            } finally {
+                setBusy(false);
+            }
+        };
+    });
+}
+
+function provisionErrorMessage(err, ssid) {
+    switch (err.code) {
+        case IMPROV_ERROR.UNABLE_TO_CONNECT:
+            return t("provision.unableToConnect", { ssid });
+        case "timeout":
+            return t("provision.timeout");
+        default:
+            return err.message;
+    }
+}
+
+// ================================
+// OFFLINE CACHE
+// ================================
+// sw.js keeps the installer itself cached; the firmware of pinned versions is
+// stored here so installs work on a bench without internet. Nothing is pinned
+// until the user keeps a version under Settings → Offline use.
+const FIRMWARE_CACHE = "esptimecast-firmware";     // same name as in sw.js
+
+function pinnedVersions() {
+    try {
+        const saved = JSON.parse(localStorage.getItem("pinnedVersions"));
+        return Array.isArray(saved) ? saved : null;
+    } catch {
+        return null;
+    }
+}
+
+function savePinnedVersions(versions) {
+    localStorage.setItem("pinnedVersions", JSON.stringify(versions));
+}
+
+function releasePartUrls(release) {
+    return [...new Set(release.builds.flatMap(build => build.parts.map(part => part.url)))];
+}
+
+// Symbol files for crash decoding, next to each app image; optional
+function releaseSymbolUrls(release) {
+    const apps = release.builds.flatMap(build => build.parts.filter(p => p.type === "app").map(p => p.url));
+    return [...new Set(apps)].flatMap(url => [".elf", ".sym"].map(ext => url.replace(/\.bin$/i, ext)));
+}
+
+async function pinVersion(release) {
+    savePinnedVersions([...new Set([...(pinnedVersions() || []), release.version])]);
+    navigator.storage?.persist?.();
+    const cache = await caches.open(FIRMWARE_CACHE);
+    let failed = 0;
+    for (const url of releasePartUrls(release)) {
+        try {
+            const response = await fetch(url, { cache: "no-cache" });
+            if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+            await cache.put(url, response);
+        } catch (e) {
+            failed++;
+            log(`⚠️ Could not cache ${url}: ${e.message}`);
+        }
+    }
+    for (const url of releaseSymbolUrls(release)) {
+        try {
+            const response = await fetch(url);
+            if (response.ok) await cache.put(url, response);
+        } catch { }
+    }
+    log(failed
+        ? `⚠️ v${release.version} kept offline with ${failed} file(s) missing`
+        : `v${release.version} available offline`);
+}
+
+// Files shared with another pinned version stay
+async function evictVersion(release) {
+    const pinned = (pinnedVersions() || []).filter(v => v !== release.version);
+    savePinnedVersions(pinned);
+    const keep = new Set(allReleases()
+        .filter(r => pinned.includes(r.version))
+        .flatMap(r => [...releasePartUrls(r), ...releaseSymbolUrls(r)]));
+    const cache = await caches.open(FIRMWARE_CACHE);
+    for (const url of [...releasePartUrls(release), ...releaseSymbolUrls(release)]) {
+        if (!keep.has(url)) await cache.delete(url);
+    }
+    log(`v${release.version} removed from the offline cache`);
+}
+
+async function firmwareCacheStatus(cache, release) {
+    const urls = releasePartUrls(release);
+    let cached = 0;
+    let bytes = 0;
+    for (const url of urls) {
+        const response = await cache.match(url);
+        if (!response) continue;
+        cached++;
+        bytes += Number(response.headers.get("Content-Length")) || (await response.blob()).size;
+    }
+    return { cached, total: urls.length, bytes };
+}
+
+function formatMegabytes(n) {
+    return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+async function renderOfflineCache() {
+    const status = document.getElementById("offline-status");
+    const list = document.getElementById("offline-versions");
+    const storage = document.getElementById("offline-storage");
+    if (!status || !list) return;
+
+    if (!("serviceWorker" in navigator) || !window.caches) {
+        status.textContent = t("offline.unsupported");
+        return;
+    }
+    status.textContent = t(navigator.serviceWorker.controller ? "offline.ready" : "offline.reload");
+
+    try {
+        await ensureManifest();
+    } catch {
+        list.replaceChildren();
+        return;
+    }
+    const pinned = pinnedVersions() || [];
+    const cache = await caches.open(FIRMWARE_CACHE);
+    const items = [];
+    for (const release of allReleases()) {
+        const { cached, total, bytes } = await firmwareCacheStatus(cache, release);
+        const isPinned = pinned.includes(release.version);
+
+        const li = document.createElement("li");
+        const name = document.createElement("span");
+        name.className = "offline-version";
+        name.textContent = formatVersion(release.version) +
+            (releaseChannel(release) !== "stable" ? ` (${releaseChannel(release)})` : "");
+        const state = document.createElement("span");
+        state.className = "offline-state";
+        state.textContent = cached === total
+            ? t("offline.cached", { size: formatMegabytes(bytes) })
+            : cached ? t("offline.partial", { cached, total }) : t("offline.notCached");
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "link-button";
+        button.textContent = t(isPinned ? "offline.remove" : "offline.keep");
+        button.onclick = async () => {
+            button.disabled = true;
+            button.textContent = t(isPinned ? "offline.removing" : "offline.downloading");
+            try {
+                await (isPinned ? evictVersion(release) : pinVersion(release));
+            } catch (e) {
+                log("⚠️ Offline cache: " + e.message);
+            }
+            renderOfflineCache();
+        };
+        li.append(name, state, button);
+        items.push(li);
+    }
+    list.replaceChildren(...items);
+
+    const estimate = await navigator.storage?.estimate?.().catch(() => null);
+    if (storage && estimate?.quota) {
+        storage.textContent = t("offline.storage", {
+            usage: formatMegabytes(estimate.usage),
+            quota: formatMegabytes(estimate.quota)
+        });
+    }
+}
+
+function initOfflineCache() {
+    if (!("serviceWorker" in navigator) || !window.caches) return;
+    navigator.serviceWorker.register("sw.js").catch(e => {
+        log("⚠️ Offline support unavailable: " + e.message);
+    });
+    document.querySelector(".icon-cog")?.addEventListener("click", () => renderOfflineCache());
+
+    // The picker greys out uncached versions while offline
+    const refreshPicker = () => {
+        if (currentInstallContext?.releases && !currentInstallContext.localImages) renderVersionPicker();
+    };
+    window.addEventListener("online", refreshPicker);
+    window.addEventListener("offline", refreshPicker);
+}
+
+// ================================
+// SCREENS
+// ================================
+async function slideFlashing() {
+    goToSlide("flashing");
+    resetFlashingUI();
+}
+
+// wifi: { ssid, url } once the device joined a network over Improv
+function installSuccess(isUart = true, wifi = null) {
+    currentInstallContext = null;
+
+    const message = !isUart
+        ? t("success.pressReset")
+        : wifi
+            ? t("success.runningOnWifi")
+            : t("success.running");
+
+    const messageEl = document.getElementById("success-message");
+    messageEl.innerHTML = message;
+    if (wifi?.url && /^https?:\/\//i.test(wifi.url)) {
+        const link = document.createElement("a");
+        link.href = wifi.url;
+        link.target = "_blank";
+        link.rel = "noopener";
+        link.textContent = wifi.url.replace(/^https?:\/\//i, "");
+        const [before, after] = t("success.openToFinish").split("{link}");
+        messageEl.append(document.createElement("br"), before, link, after ?? "");
+    }
+
+    goToSlide("success");
+
+    const checkmark = document.querySelector(".checkmark");
+    const body = document.body;
+    const footerIcons = document.querySelector(".footer-icons");
+
+    // --- RESET ---
+    checkmark.classList.remove("animate");
+    body.classList.remove("success-pulse");
+    footerIcons?.classList.remove("animate");
+
+    void checkmark.offsetWidth; // force reflow so animation can replay
+
+    // --- Trigger Start checkmark ---
+    checkmark.classList.add("animate");
+
+    // --- Trigger pulse mid-animation ---
+    setTimeout(() => {
+        body.classList.add("success-pulse");
+    }, 400);
+
+    // --- Trigger icons stagger ---
+    setTimeout(() => {
+        footerIcons?.classList.add("animate");
+    }, 1100);
+
+    document.getElementById("reflash").onclick = () => {
+        resetSuccessAnimations();
+        goToSlide("hero");
+        resetHints();
+    };
+}
+
+// ---------- Failures ----------
+
+// Every failure lands on the "failure" slide, worded for its category; the
+// title, summary and steps come from the failure.<category> locale entries.
+// retry: false hides Try again where repeating can't help.
+const FAILURE_CATEGORIES = {
+    sync: { icon: "/img/booterror.png" },
+    "port-busy": { icon: "/img/esperror.png" },
+    permission: { icon: "/img/esperror.png" },
+    fetch: { icon: "/img/error.png" },
+    checksum: { icon: "/img/error.png" },
+    "write-timeout": { icon: "/img/esperror.png" },
+    md5: { icon: "/img/esperror.png" },
+    disconnected: { icon: "/img/esperror.png" },
+    "flash-size": { icon: "/img/info.png", retry: false },
+    backup: { icon: "/img/info.png", retry: false },
+    layout: { icon: "/img/info.png" },
+    manifest: { icon: "/img/error.png" },
+    unknown: { icon: "/img/error.png" }
+};
+
+// Maps an error from detection or flashing onto FAILURE_CATEGORIES
+function classifyFailure(err) {
+    const message = err?.message || String(err || "");
+    if (err?.category) return err.category;
+    if (err?.name === "VerificationError") return err.stage === "download" ? "checksum" : "md5";
+    if (err?.name === "LayoutMismatchError") return "layout";
+    if (err?.name === "SecurityError" || /access denied|permission/i.test(message)) return "permission";
+    if (err?.name === "InvalidStateError" || /failed to open serial port|already open/i.test(message)) return "port-busy";
+    if (/device has been lost|disconnected|not available/i.test(message)) return "disconnected";
+    if (err?.name === "TypeError" && /fetch|load failed/i.test(message)) return "fetch";
+    if (err?.flashStage === "connect" || /sync failed|failed to connect|wrong boot mode|invalid head of packet/i.test(message)) return "sync";
+    if (/timeout|timed out/i.test(message)) return "write-timeout";
+    return "unknown";
+}
+
+function failureDetail(err) {
+    if (!err) return "";
+    if (typeof err === "string") return err;
+    const lines = [err.message || String(err)];
+    if (err.name === "VerificationError") {
+        lines.push(
+            `${err.part.path} @ 0x${err.part.offset.toString(16).toUpperCase()}`,
+            `expected ${err.expected}`,
+            `actual   ${err.actual}`
+        );
+    }
+    if (err.flashStage) lines.push(`stage: ${err.flashStage}`);
+    if (err.name && err.name !== "Error") lines.push(`type: ${err.name}`);
+    return lines.join("\n");
+}
+
+// error: the Error (or a message) behind it, shown under "Show details".
+// retry: re-runs whatever failed with the same port, version and mode.
+function slideFailure(category, { error = null, retry = null } = {}) {
+    if (!FAILURE_CATEGORIES[category]) category = "unknown";
+    const failure = FAILURE_CATEGORIES[category];
+    log(`Failure: ${category}`);
+
+    document.getElementById("failure-icon").src = failure.icon;
+    document.getElementById("failure-title").textContent = t(`failure.${category}.title`);
+    document.getElementById("failure-summary").textContent = t(`failure.${category}.summary`);
+    document.getElementById("failure-steps").innerHTML = t(`failure.${category}.steps`).map(step => `<li>${step}</li>`).join("");
+
+    const detail = failureDetail(error);
+    const detailBox = document.getElementById("failure-detail-box");
+    detailBox.hidden = !detail;
+    detailBox.open = false;
+    document.getElementById("failure-detail").textContent = detail;
+
+    const retryButton = document.getElementById("failure-retry");
+    retryButton.hidden = !retry || failure.retry === false;
+    retryButton.onclick = () => {
+        log(`Retrying after ${category} failure`);
+        retry();
+    };
+
+    goToSlide("failure");
+    document.getElementById("failure-close").onclick = () => {
+        log("User cancelled installation");
+        goToSlide("hero");
+        resetHints();
+    };
+}
+
+function slideUnsupportedBoard(chip) {
+    // Fill static text (ONE TIME, safe)
+    document.getElementById("confirm-chip-unsupported").innerHTML = t("unsupported.chip", { chip });
+
+    // Move to confirm slide
+    goToSlide("unsupported");
+
+    // Wire buttons
+    document.getElementById("unsupported-cancel").onclick = () => {
+        log("User cancelled installation");
+        goToSlide("hero");
+        resetHints();
+    };
+
+    document.getElementById("unsupported-github").onclick = () => {
+        window.open(
+            "https://github.com/mfactory-osaka/ESPTimeCast",
+            "_blank"
+        );
+    };
+}
+
+function slideIncompatibleHardware(chip, release, problems) {
+    const title = document.getElementById("incompatible-chip");
+    const strong = document.createElement("strong");
+    strong.textContent = chip;
+    const [before, after] = (release
+        ? t("incompatible.release", { version: formatVersion(release.version) })
+        : t("incompatible.localFiles")).split("{chip}");
+    title.replaceChildren(before, strong, after ?? "");
+
+    const list = document.getElementById("incompatible-reasons");
+    list.replaceChildren(...problems.map(problem => {
+        const li = document.createElement("li");
+        li.textContent = problem;
+        return li;
+    }));
+    problems.forEach(p => log("❌ Incompatible hardware: " + p));
+
+    goToSlide("incompatible");
+
+    document.getElementById("incompatible-cancel").onclick = () => {
+        log("User cancelled installation");
+        goToSlide("hero");
+        resetHints();
+    };
+    document.getElementById("incompatible-github").onclick = () => {
+        window.open(
+            "https://github.com/mfactory-osaka/ESPTimeCast",
+            "_blank"
+        );
+    };
+}
+
+function slideUnknownESP() {
+    goToSlide("unknown");
+    document.getElementById("unknown-close").onclick = () => {
+        log("User cancelled installation");
+        goToSlide("hero");
+        resetHints();
+    };
+}
+
+function nextFrame() {
+    return new Promise(resolve => requestAnimationFrame(resolve));
+}
+
+let currentSlide = document.querySelector(".slide.active");
+
+// Slides off screen are only transparent; keep them out of the tab order and
+// away from screen readers
+document.querySelectorAll(".slide").forEach(slide => { slide.inert = slide !== currentSlide; });
+
+async function goToSlide(name) {
+    const next = document.querySelector(`[data-slide="${name}"]`);
+    if (!next || next === currentSlide) return;
+    const oldSlide = currentSlide;
+
+    // 1. Start the exit animation for the current slide
+    if (oldSlide) {
+        oldSlide.classList.remove("active");
+        oldSlide.classList.add("exit-left");
+        oldSlide.inert = true;
+
+        // 2. Cleanup: After the 0.5s transition, reset its position to the right
+        // so it's ready for the next time it's called.
+        setTimeout(() => {
+            oldSlide.classList.remove("exit-left");
+            // By removing exit-left, the base .slide CSS puts it back at translateX(80px)
+        }, 500);
+    }
+
+    // 3. Prepare the next slide to enter from the right
+    next.classList.remove("exit-left"); // Safety
+    next.classList.add("pre-right");
+    void next.offsetWidth; // Force reflow to "snap" it to the right position
+
+    // 4. Trigger the entry
+    next.classList.remove("pre-right");
+    next.classList.add("active");
+    next.inert = false;
+    updateStepper(name);
+    currentSlide = next;
+    focusSlide(next);
+}
+
+// Screen readers start the new slide at its heading and keyboard users tab on
+// from there; the hero has no heading, so Start gets focus. A modal on top
+// keeps its focus.
+function focusSlide(slide) {
+    if (document.querySelector(".modal.show:not(.hide)")) return;
+    const heading = slide.querySelector("h2");
+    const target = heading || slide.querySelector("button, a[href]");
+    if (!target) return;
+    if (heading) heading.tabIndex = -1;
+    target.focus({ preventScroll: true });
+}
+
+// Plays `text` through the #live-status region. Clearing it first makes a
+// repeated message heard again.
+function announce(text) {
+    const region = document.getElementById("live-status");
+    if (!region) return;
+    region.textContent = "";
+    setTimeout(() => { region.textContent = text; }, 50);
+}
+
+function updateStepper(slideName) {
+    let currentStep = 1;
+    if (slideName === "confirm") {
+        currentStep = 2;
+    }
+    if (slideName === "flashing") {
+        currentStep = 2; // still in confirmation phase
+    }
+    if (slideName === "provision") {
+        currentStep = 2;
+    }
+    if (slideName === "success") {
+        currentStep = 3;
+    }
+    document.querySelectorAll(".step").forEach(step => {
+        const stepNumber = parseInt(step.dataset.step, 10);
+        step.classList.remove("active", "done");
+        step.removeAttribute("aria-current");
+        if (stepNumber < currentStep) {
+            step.classList.add("done");
+        } else if (stepNumber === currentStep) {
+            step.classList.add("active");
+            step.setAttribute("aria-current", "step");
+        }
+    });
+}
+
+function showHint(index) {
+    const hints = document.querySelectorAll(".hints .hint");
+    hints.forEach((hint, i) => {
+        hint.classList.remove("active");
+    });
+    if (hints[index]) {
+        hints[index].classList.add("active");
+    }
+}
+
+function resetHints() {
+    const hints = document.querySelectorAll(".hints .hint");
+    // Remove active from all
+    hints.forEach(hint => hint.classList.remove("active"));
+    // Small delay allows fade-out animation
+    setTimeout(() => {
+        hints[0].classList.add("active");
+    }, 200);
+}
+
+function hideHints() {
+    const hints = document.querySelectorAll(".hints .hint");
+    hints.forEach(hint => hint.classList.remove("active"));
+}
+
+function setFlashingTitle(text) {
+    const title = document.getElementById("flashing-title");
+    if (title) title.textContent = text;
+}
+
+// Notes under the title; null hides them
+function setFlashingNote(id, text) {
+    const note = document.getElementById(id);
+    if (!note) return;
+    note.textContent = text || "";
+    note.hidden = !text;
+}
+
+// What the retry policy is up to
+function setFlashingRetry(text) {
+    setFlashingNote("flashing-retry", text);
+    if (text) announce(text);
+}
+
+// How much a differential flash left alone
+function setFlashingSkipped(text) {
+    setFlashingNote("flashing-skipped", text);
+}
+
+function showLoader() {
+    const loader = document.getElementById("flash-loader");
+    if (loader) loader.style.display = "inline-block";
+
+    if (progressAnimationFrame) {
+        cancelAnimationFrame(progressAnimationFrame);
+        progressAnimationFrame = null;
+    }
+
+    if (progressWrapper) progressWrapper.remove();
+
+    progressWrapper = null;
+    progressRingBar = null;
+    progressText = null;
+}
+
+function switchToProgressRing() {
+    const loader = document.getElementById("flash-loader");
+    if (loader) loader.style.display = "none";
+
+    showProgressRing();
+}
+
+function resetFlashingUI() {
+    setFlashingTitle(t("flashing.preparing"));
+    setFlashingRetry(null);
+    setFlashingSkipped(null);
+    showLoader();
+
+    // Hard reset animation state
+    visualProgress = 0;
+    targetProgress = 0;
+
+    if (progressAnimationFrame) {
+        cancelAnimationFrame(progressAnimationFrame);
+        progressAnimationFrame = null;
+    }
+
+    if (progressRingBar) {
+        progressRingBar.style.strokeDashoffset = progressCircumference;
+    }
+
+    if (progressText) {
+        progressText.textContent = formatPercent(0);
+    }
+
+    if (progressWrapper) {
+        progressWrapper.classList.remove("visible");
+    }
+}
+
+function resetSuccessAnimations() {
+    const checkmark = document.querySelector(".checkmark");
+    const footerIcons = document.querySelector(".footer-icons");
+
+    document.body.classList.remove("success-pulse");
+    footerIcons?.classList.remove("animate");
+
+    if (checkmark) {
+        checkmark.classList.remove("animate");
+        // Force reflow so CSS animation can replay
+        void checkmark.offsetWidth;
+    }
+}
+
+let subtitleTimeout = null;
+let hoverCount = 0;
+
+function initFooterSubtitles() {
+    const icons = document.querySelectorAll(".icon-btn");
+    const subtitle = document.getElementById("footerSubtitle");
+
+    if (!icons.length || !subtitle) return;
+
+    subtitle.textContent = footerDefaultText();
+    subtitle.classList.add("visible", "default-text");
+
+    icons.forEach(icon => {
+        icon.addEventListener("mouseenter", () => {
+            hoverCount++;
+            clearTimeout(subtitleTimeout);
+            const newText = icon.getAttribute("aria-label");
+            if (subtitle.textContent !== newText) {
+                subtitle.classList.remove("visible");
+                setTimeout(() => {
+                    subtitle.textContent = newText;
+                    subtitle.classList.remove("default-text");
+                    subtitle.classList.add("visible");
+                }, 100);
+            }
+        });
+
+        icon.addEventListener("mouseleave", () => {
+            hoverCount--;
+            subtitleTimeout = setTimeout(() => {
+                if (hoverCount === 0) {
+                    subtitle.classList.remove("visible");
+                    setTimeout(() => {
+                        subtitle.textContent = footerDefaultText();
+                        subtitle.classList.add("default-text");
+                        subtitle.classList.add("visible");
+                    }, 120);
+                }
+            }, 250);
+        });
+    });
+}
+
+function footerDefaultText() {
+    const year = new Date().getFullYear();
+    const version = manifest?.version ? ` v${manifest.version}` : "";
+    return `© ${year} ESPTimeCast${version}`;
+}
+
+// The manifest arrives after the footer is initialised; refresh the version bits.
+function applyManifestVersion() {
+    const subtitle = document.getElementById("footerSubtitle");
+    if (subtitle?.classList.contains("default-text")) {
+        subtitle.textContent = footerDefaultText();
+    }
+    const footer = document.getElementById("footerVersion");
+    if (footer && manifest?.version) {
+        footer.textContent = "v" + manifest.version;
+    }
+}
+
+function enableUnsupportedMode() {
+    const heroSlide = document.querySelector('[data-slide="hero"]');
+    const startBtn = document.getElementById("start");
+    const stepper = document.querySelector(".stepper");
+    const hints = document.querySelector(".hints");
+
+    // Remove Start button
+    if (startBtn) startBtn.remove();
+
+    // Prevent duplicate manual button
+    if (!heroSlide.querySelector(".manual-btn")) {
+        const manualBtn = document.createElement("a");
+        manualBtn.href = "https://github.com/mfactory-osaka/ESPTimeCast";
+        manualBtn.target = "_blank";
+        manualBtn.rel = "noopener noreferrer";
+        manualBtn.className = "manual-btn";
+        manualBtn.dataset.i18n = "unsupported.manualGuide";
+        manualBtn.textContent = t("unsupported.manualGuide");
+
+        heroSlide.appendChild(manualBtn);
+    }
+
+    // Replace stepper content with warning
+    if (stepper && !stepper.querySelector(".unsupported")) {
+        const warning = document.createElement("div");
+        warning.className = "step unsupported";
+        warning.dataset.i18n = "unsupported.browser";
+        warning.textContent = t("unsupported.browser");
+        stepper.replaceChildren(warning);
+    }
+
+    // Hide hints
+    if (hints) hints.style.display = "none";
+}
+
+// Applies the detected language and redraws the script-built text on screen
+// whenever the footer picker switches it
+function initLocalisation() {
+    setLanguage(detectLanguage(), false);
+    const picker = document.getElementById("language-picker");
+    if (picker) initLanguagePicker(picker);
+
+    onLanguageChange(() => {
+        const ctx = currentInstallContext;
+        if (ctx) {
+            renderConfirmChip();
+            if (!ctx.localImages) renderVersionPicker();
+            renderDeviceCard(ctx.device?.info, ctx.chip);
+            updateConfirmText(false);
+        }
+        if (document.getElementById("settings-modal")?.classList.contains("show")) renderOfflineCache();
+        if (document.getElementById("history-modal")?.classList.contains("show")) renderInstallHistory();
+        refreshTerminalText();
+    });
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+    initLocalisation();
+    updateStepper("hero");
+    initFooterSubtitles();
+    if (!isSupportedBrowser()) {
+        enableUnsupportedMode();
+    }
+});
+
+// --- Helper function for flashing logic ---
+function shouldKeepData() {
+    // Returns true if the user wants to preserve current data
+    return localStorage.getItem('keepData') === 'true';
+}
+
+function selectedChannel() {
+    return localStorage.getItem('releaseChannel') === "beta" ? "beta" : "stable";
+}
+
+function updateConfirmText(animate = true) {
+    if (!currentInstallContext) return;
+
+    const { version, releases, localImages, restore } = currentInstallContext;
+    const versionEl = document.getElementById("confirm-version");
+    if (!versionEl) return;
+
+    const keepData = shouldKeepData();
+    renderInstalledFirmware();
+
+    if (restore) {
+        setInstallBlocked(false);
+        const html = t("confirm.restoring", { name: localImages[0].name });
+        applyConfirmHTML(versionEl, html, animate);
+        return;
+    }
+
+    setInstallBlocked(false);
+
+    if (localImages) {
+        const count = localImages.length;
+        const html = t("confirm.localFiles", { count }) + "<br>" +
+            (keepData ? t("confirm.localKeep") : t("confirm.localErase") + backupNote());
+        applyConfirmHTML(versionEl, html, animate);
+        return;
+    }
+    // Roll-back is judged against what is on the board when we know it
+    const installed = currentInstallContext.device?.installed;
+    const baseline = installed?.kind === "esptimecast" ? installed.version : releases[0].version;
+    const isDowngrade = compareVersions(version, baseline) < 0;
+
+    let newHTML = keepData
+        ? t("confirm.updating", { version: formatVersion(version) })
+        : t("confirm.installing", { version: formatVersion(version) }) + backupNote();
+
+    const layoutProblems = keepData ? currentInstallContext.layoutProblems : null;
+    const layoutUnknown = keepData && currentInstallContext.layoutUnknown;
+    setInstallBlocked(!!layoutProblems?.length || layoutUnknown);
+    if (layoutProblems?.length) {
+        newHTML = t("confirm.layoutBlocked", { version: formatVersion(version) });
+    } else if (layoutUnknown) {
+        newHTML = t("confirm.layoutUnknown", { version: formatVersion(version) });
+    }
+
+    if (currentInstallContext.unverified?.length) {
+        newHTML += `<br><span class="warning-text">${t("confirm.unverified")}</span>`;
+    }
+
+    if (isDowngrade) {
+        newHTML += `<br><span class="warning-text">` +
+            t("confirm.rollback", { version: formatVersion(version), baseline: formatVersion(baseline) }) +
+            (keepData ? " " + t("confirm.rollbackKeepData") : "") +
+            `</span>`;
+    }
+
+    applyConfirmHTML(versionEl, newHTML, animate);
+}
+
+function setInstallBlocked(blocked) {
+    const btn = document.getElementById("confirm-install");
+    if (btn) btn.disabled = blocked;
+}
+
+function backupNote() {
+    return shouldBackupBeforeErase()
+        ? t("confirm.backupNote")
+        : "";
+}
+
+function applyConfirmHTML(versionEl, newHTML, animate) {
+    if (!animate) {
+        // Instant update (no fade)
+        versionEl.innerHTML = newHTML;
+        return;
+    }
+
+    // Fade mode
+    versionEl.classList.add("fading");
+
+    setTimeout(() => {
+        versionEl.innerHTML = newHTML;
+        versionEl.classList.remove("fading");
+    }, 200);
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+
+    updateStepper("hero");
+    initFooterSubtitles();
+    initOfflineCache();
+
+    if (!isSupportedBrowser()) {
+        enableUnsupportedMode();
+    }
+
+    const cogIcon = document.querySelector('.icon-cog');
+    const modal = document.getElementById('settings-modal');
+    const eraseAllCheckbox = document.getElementById('erase-all-data');
+    const closeBtn = document.getElementById("close-settings");
+
+    if (!cogIcon || !modal || !eraseAllCheckbox) return;
+
+    // Load saved setting
+    eraseAllCheckbox.checked =
+        localStorage.getItem('keepData') !== 'true';
+
+    // Open modal
+    cogIcon.addEventListener('click', (e) => {
+        e.preventDefault();
+        showModal(modal);
+    });
+
+    // Auto-save on change
+    eraseAllCheckbox.addEventListener("change", () => {
+        localStorage.setItem('keepData', !eraseAllCheckbox.checked);
+        updateConfirmText();
+    });
+
+    const backupCheckbox = document.getElementById('backup-before-erase');
+    if (backupCheckbox) {
+        backupCheckbox.checked = shouldBackupBeforeErase();
+        backupCheckbox.addEventListener("change", () => {
+            localStorage.setItem('backupBeforeErase', backupCheckbox.checked);
+            updateConfirmText();
+        });
+    }
+
+    const restoreInput = document.getElementById("restore-file-input");
+    document.getElementById("open-restore")?.addEventListener("click", (e) => {
+        e.preventDefault();
+        restoreInput?.click();
+    });
+    restoreInput?.addEventListener("change", () => {
+        const file = restoreInput.files[0];
+        restoreInput.value = "";
+        if (!file) return;
+        closeModal();
+        restoreBackup(file);
+    });
+
+    const betaCheckbox = document.getElementById('beta-channel');
+    if (betaCheckbox) {
+        betaCheckbox.checked = selectedChannel() === "beta";
+        betaCheckbox.addEventListener("change", () => {
+            localStorage.setItem('releaseChannel', betaCheckbox.checked ? "beta" : "stable");
+            refreshVersionPicker();
+        });
+    }
+
+    // Click outside closes modal
+    modal.addEventListener("click", (e) => {
+        if (e.target === modal) {
+            closeModal();
+        }
+    });
+
+    if (closeBtn) {
+        closeBtn.addEventListener("click", (e) => {
+            e.preventDefault(); // prevents accidental form submission
+            closeModal();
+        });
+    }
+
+    function closeModal() {
+        hideModal(modal);
+    }
+
+    document.getElementById("open-advanced")?.addEventListener("click", (e) => {
+        e.preventDefault();
+        closeModal();
+        openAdvancedModal();
+    });
+
+    document.getElementById("open-history")?.addEventListener("click", (e) => {
+        e.preventDefault();
+        closeModal();
+        openHistoryModal();
+    });
+
+    // ESC key closes modal
+    document.addEventListener("keydown", (e) => {
+        if (e.key === "Escape" && modal.classList.contains("show")) {
+            closeModal();
+        }
+    });
+    document.body.classList.add("loaded");
+    initTerminalAutoscroll();
+    cacheTerminalFooter();
+    bindTerminalFooterEvents();
+    initTerminalInput();
+    initTerminalBaud();
+    initTerminalResetButtons();
+    initTerminalSymbols();
+    initTerminalToolbar();
+    initTerminalInspector();
+    if (isSupportedBrowser()) {
+        ensureManifest().catch(e => log("⚠️ Manifest preload failed: " + e.message));
+    }
+});
+
+
+function showModal(modal) {
+    modal._returnFocus = document.activeElement;
+    modal.inert = false;
+    modal.classList.remove('hide');
+    modal.classList.add('show');
+    focusModal(modal);
+}
+
+function hideModal(modal) {
+    modal.classList.add('hide');
+    modal.inert = true;
+    modal._returnFocus?.focus({ preventScroll: true });
+    modal._returnFocus = null;
+    setTimeout(() => {
+        modal.classList.remove('show');
+        modal.classList.remove('hide');
+    }, 300);
+}
+
+// ---------- Focus trap ----------
+
+// [data-autofocus] wins, then the dialog heading, then the first control
+function focusModal(modal) {
+    const heading = modal.querySelector("h2");
+    const target = modal.querySelector("[data-autofocus]") || heading || focusableIn(modal)[0];
+    if (!target) return;
+    if (target === heading) heading.tabIndex = -1;
+    target.focus({ preventScroll: true });
+}
+
+// Controls Tab can reach: enabled, rendered, not inside a closed <details>
+function focusableIn(root) {
+    return [...root.querySelectorAll("a[href], button, input, select, textarea, summary, [tabindex]:not([tabindex='-1'])")]
+        .filter(el => !el.disabled && el.getClientRects().length > 0);
+}
+
+// Tab and Shift+Tab wrap around inside the open modal
+document.addEventListener("keydown", (e) => {
+    if (e.key !== "Tab") return;
+    const modal = [...document.querySelectorAll(".modal.show:not(.hide)")].pop();
+    if (!modal) return;
+    const items = focusableIn(modal);
+    if (!items.length) {
+        e.preventDefault();
+        return;
+    }
+    const first = items[0];
+    const last = items[items.length - 1];
+    if (!modal.contains(document.activeElement)) {
+        e.preventDefault();
+        first.focus();
+    } else if (e.shiftKey && (document.activeElement === first || !items.includes(document.activeElement))) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+    }
+});
+
+
+// ================================
+// ADVANCED MODE (LOCAL FILES)
+// ================================
+
+const ESP_IMAGE_MAGIC = 0xE9;
+// Offsets where the ROM or 2nd stage bootloader expects an app/bootloader image
+const IMAGE_OFFSETS = [0x0, 0x1000, 0x10000];
+
+let localFiles = [];
+
+function openAdvancedModal() {
+    const modal = document.getElementById("advanced-modal");
+    if (!modal) return;
+    renderLocalFiles();
+    showModal(modal);
+}
+
+function closeAdvancedModal() {
+    const modal = document.getElementById("advanced-modal");
+    if (modal) hideModal(modal);
+}
+
+const isBootloaderFile = name => /bootloader/i.test(name) && !/merged|full|factory/i.test(name);
+
+// Best guess from the usual PlatformIO / Arduino output names. The bootloader
+// offset depends on the chip; before one is detected, ESP32's 0x1000 is shown.
+function guessOffset(name, chip = null) {
+    const lower = name.toLowerCase();
+    if (/merged|full|factory/.test(lower)) return 0x0;
+    if (lower.includes("bootloader")) return chip ? bootloaderOffset(chip) : 0x1000;
+    if (lower.includes("partition")) return 0x8000;
+    if (lower.includes("boot_app0")) return 0xE000;
+    if (/littlefs|spiffs|fatfs/.test(lower)) return 0x290000;
+    return 0x10000;
+}
 
-    if (progressRingBar && progressWrapper && status.contains(progressWrapper)) {
-        return progressRingBar;
+// Once the chip is known, a bootloader whose offset was only guessed moves to
+// where that chip's ROM looks for it. Offsets typed by the user are kept.
+function placeLocalBootloader(images, chip) {
+    const offset = bootloaderOffset(chip);
+    for (const img of images) {
+        if (!img.guessedBootloader || img.offset === offset) continue;
+        log(`${img.name}: bootloader offset 0x${img.offset.toString(16)} → 0x${offset.toString(16)} for ${chip}`);
+        img.offset = offset;
     }
+    images.sort((a, b) => a.offset - b.offset);
+}
 
-    const wrapper = document.createElement("div");
-    wrapper.className = "progress-ring-wrapper hidden";
+function parseOffset(text) {
+    const trimmed = String(text).trim();
+    if (!/^(0x[0-9a-f]+|\d+)$/i.test(trimmed)) return NaN;
+    return Number(trimmed);
+}
 
-    wrapper.innerHTML = `
-        <svg width="56" height="56" viewBox="0 0 48 48">
-            <circle class="progress-ring-track" cx="24" cy="24" r="20"></circle>
-            <circle class="progress-ring-bar" cx="24" cy="24" r="20"></circle>
-        </svg>
-        <div class="progress-text">0%</div>
-    `;
+async function addLocalFiles(fileList) {
+    for (const file of fileList) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        localFiles.push({
+            name: file.name,
+            bytes,
+            offsetText: "0x" + guessOffset(file.name, lastDetectedChip).toString(16),
+            guessed: true
+        });
+        log(`Added local file ${file.name} (${bytes.length} bytes)`);
+    }
+    renderLocalFiles();
+}
 
-    status.appendChild(wrapper);
+// Returns { errors, warnings } for the current file list. Flash size is only
+// known after connecting, so that check lives in checkFlashCapacity().
+function checkLocalImages(images) {
+    const errors = [];
+    const warnings = [];
 
-    progressWrapper = wrapper;
-    progressRingBar = wrapper.querySelector(".progress-ring-bar");
-    progressText = wrapper.querySelector(".progress-text");
+    if (!images.length) {
+        errors.push(t("advanced.noFiles"));
+        return { errors, warnings };
+    }
 
-    const radius = progressRingBar.r.baseVal.value;
-    progressCircumference = 2 * Math.PI * radius;
+    for (const img of images) {
+        const offset = parseOffset(img.offsetText);
+        if (Number.isNaN(offset)) {
+            errors.push(t("advanced.badOffset", { name: img.name, offset: img.offsetText }));
+            continue;
+        }
+        if (offset % FLASH_SECTOR_SIZE !== 0) {
+            errors.push(t("advanced.unaligned", { name: img.name, offset: "0x" + offset.toString(16) }));
+        }
+        if (img.bytes.length === 0) {
+            errors.push(t("advanced.empty", { name: img.name }));
+            continue;
+        }
+        const isImage = img.bytes[0] === ESP_IMAGE_MAGIC;
+        const isPartitionTable = img.bytes[0] === 0xAA && img.bytes[1] === 0x50;
+        if (!isImage && IMAGE_OFFSETS.includes(offset)) {
+            errors.push(t("advanced.noMagic", { name: img.name, offset: "0x" + offset.toString(16) }));
+        } else if (!isImage && !isPartitionTable) {
+            warnings.push(t("advanced.rawData", { name: img.name }));
+        }
+    }
 
-    progressRingBar.style.strokeDasharray = progressCircumference;
-    progressRingBar.style.strokeDashoffset = progressCircumference;
+    const placed = images
+        .map(img => ({ name: img.name, start: parseOffset(img.offsetText), end: parseOffset(img.offsetText) + img.bytes.length }))
+        .filter(r => !Number.isNaN(r.start))
+        .sort((a, b) => a.start - b.start);
+    for (let i = 1; i < placed.length; i++) {
+        if (placed[i].start < placed[i - 1].end) {
+            errors.push(t("advanced.overlap", { first: placed[i - 1].name, second: placed[i].name, offset: "0x" + placed[i].start.toString(16) }));
+        }
+    }
 
-    return progressRingBar;
+    return { errors, warnings };
 }
 
-function showProgressRing() {
-    ensureProgressRing();
-    if (!progressWrapper) return;
+function renderLocalFiles() {
+    const list = document.getElementById("local-files");
+    const checks = document.getElementById("local-checks");
+    const flashBtn = document.getElementById("local-flash");
+    if (!list || !checks || !flashBtn) return;
+
+    list.innerHTML = "";
+    localFiles.forEach((img, index) => {
+        const row = document.createElement("li");
+
+        const name = document.createElement("span");
+        name.className = "local-file-name";
+        name.textContent = `${img.name} · ${formatBytes(img.bytes.length)}`;
+
+        const offset = document.createElement("input");
+        offset.type = "text";
+        offset.value = img.offsetText;
+        offset.spellcheck = false;
+        offset.setAttribute("aria-label", t("advanced.offsetFor", { name: img.name }));
+        offset.addEventListener("input", () => {
+            img.offsetText = offset.value;
+            img.guessed = false;
+            renderLocalChecks();
+        });
 
-    progressWrapper.classList.remove("hidden");
-    requestAnimationFrame(() => {
-        progressWrapper.classList.add("visible");
-    });
+        const remove = document.createElement("button");
+        remove.className = "local-file-remove";
+        remove.textContent = "×";
+        remove.setAttribute("aria-label", t("advanced.remove", { name: img.name }));
+        remove.onclick = () => {
+            localFiles.splice(index, 1);
+            renderLocalFiles();
+        };
 
-    visualProgress = 0;
-    targetProgress = 0;
+        row.append(name, offset, remove);
+        list.appendChild(row);
+    });
 
-    progressRingBar.style.strokeDashoffset = progressCircumference;
-    progressText.textContent = "0%";
+    renderLocalChecks();
 }
 
-function updateProgressRing(percent) {
-    if (!progressRingBar) return;
-    targetProgress = Math.max(0, Math.min(100, percent));
-    if (!progressAnimationFrame) {
-        const step = () => {
-            const diff = targetProgress - visualProgress;
-            if (Math.abs(diff) < 0.1) {
-                visualProgress = targetProgress;
-            } else {
-                visualProgress += diff * 0.15; // smooth easing
-            }
-            const offset =
-                progressCircumference -
-                (visualProgress / 100) * progressCircumference;
-            progressRingBar.style.strokeDashoffset = offset;
-            progressText.textContent = `${Math.round(visualProgress)}%`;
-            if (visualProgress !== targetProgress) {
-                progressAnimationFrame = requestAnimationFrame(step);
-            } else {
-                progressAnimationFrame = null;
-            }
-        };
-        progressAnimationFrame = requestAnimationFrame(step);
+function renderLocalChecks() {
+    const checks = document.getElementById("local-checks");
+    const flashBtn = document.getElementById("local-flash");
+    const { errors, warnings } = checkLocalImages(localFiles);
+
+    checks.innerHTML = "";
+    const shown = localFiles.length ? errors : [];
+    for (const [messages, cls] of [[shown, "error"], [warnings, "warning"]]) {
+        for (const message of messages) {
+            const li = document.createElement("li");
+            li.className = cls;
+            li.textContent = message;
+            checks.appendChild(li);
+        }
     }
+    flashBtn.disabled = errors.length > 0;
 }
 
-let visualProgress = 0;
-let targetProgress = 0;
-let progressAnimationFrame = null;
+async function flashLocalImages() {
+    const { errors } = checkLocalImages(localFiles);
+    if (errors.length) return;
 
-// ================================
-// SCREENS
-// ================================
-async function slideFlashing() {
-    goToSlide("flashing");
-    resetFlashingUI();
+    const images = localFiles.map(img => ({
+        name: img.name,
+        offset: parseOffset(img.offsetText),
+        bytes: img.bytes,
+        guessedBootloader: img.guessed && isBootloaderFile(img.name)
+    })).sort((a, b) => a.offset - b.offset);
+
+    closeAdvancedModal();
+    hideHints();
+    try {
+        await runFlasher({ localImages: images });
+    } catch (e) {
+        log("❌ Fatal error: " + e.message);
+        slideFailure(classifyFailure(e), { error: e, retry: () => runFlasher({ localImages: images }) });
+    }
 }
 
-function installSuccess(isUart = true) {
-    currentInstallContext = null;
+document.addEventListener("DOMContentLoaded", () => {
+    const modal = document.getElementById("advanced-modal");
+    const dropzone = document.getElementById("local-dropzone");
+    const input = document.getElementById("local-file-input");
+    if (!modal || !dropzone || !input) return;
 
-    const message = isUart
-        ? "<b>ESPTimeCast</b> is now running."
-        : "Press <b>RESET</b> or reconnect to start <b>ESPTimeCast</b>.";
+    document.getElementById("local-browse")?.addEventListener("click", (e) => {
+        e.preventDefault();
+        input.click();
+    });
+    input.addEventListener("change", async () => {
+        await addLocalFiles(input.files);
+        input.value = "";
+    });
 
-    document.getElementById("success-message").innerHTML = message;
+    dropzone.addEventListener("dragover", (e) => {
+        e.preventDefault();
+        dropzone.classList.add("dragging");
+    });
+    dropzone.addEventListener("dragleave", () => dropzone.classList.remove("dragging"));
+    dropzone.addEventListener("drop", async (e) => {
+        e.preventDefault();
+        dropzone.classList.remove("dragging");
+        await addLocalFiles(e.dataTransfer.files);
+    });
 
-    goToSlide("success");
+    initConnectionOverride();
 
-    const checkmark = document.querySelector(".checkmark");
-    const body = document.body;
-    const footerIcons = document.querySelector(".footer-icons");
+    document.getElementById("local-flash")?.addEventListener("click", (e) => {
+        e.preventDefault();
+        flashLocalImages();
+    });
+    document.getElementById("close-advanced")?.addEventListener("click", (e) => {
+        e.preventDefault();
+        closeAdvancedModal();
+    });
+    modal.addEventListener("click", (e) => {
+        if (e.target === modal) closeAdvancedModal();
+    });
+    document.addEventListener("keydown", (e) => {
+        if (e.key === "Escape" && modal.classList.contains("show")) {
+            closeAdvancedModal();
+        }
+    });
+});
 
-    // --- RESET ---
-    checkmark.classList.remove("animate");
-    body.classList.remove("success-pulse");
-    footerIcons?.classList.remove("animate");
 
-    void checkmark.offsetWidth; // force reflow so animation can replay
+// ================================
+// INSTALL HISTORY
+// ================================
+// Each flashFirmwareWithRetry run becomes a session in install-history.js,
+// saved when it starts (so a closed tab still leaves a trace) and again when
+// it ends. log() copies every line into the running session.
+
+// USB-UART bridges by VID:PID, for the history and diagnostic bundles
+const USB_BRIDGES = {
+    "10c4:ea60": "Silicon Labs CP210x",
+    "1a86:7523": "WCH CH340",
+    "1a86:55d3": "WCH CH343",
+    "1a86:55d4": "WCH CH9102",
+    "0403:6001": "FTDI FT232R",
+    "0403:6015": "FTDI FT231X",
+    "303a:1001": "Espressif USB-JTAG/Serial",
+    "303a:0002": "Espressif USB-OTG"
+};
+const INSTALL_LOG_LIMIT = 20000;
+const HISTORY_LOG_TAIL = 200;
 
-    // --- Trigger Start checkmark ---
-    checkmark.classList.add("animate");
+// Failed sessions record their FAILURE_CATEGORIES key as the outcome; the
+// rest are labelled by history.<outcome>
+const OUTCOMES = ["success", "running"];
 
-    // --- Trigger pulse mid-animation ---
-    setTimeout(() => {
-        body.classList.add("success-pulse");
-    }, 400);
+function outcomeLabel(outcome) {
+    if (OUTCOMES.includes(outcome)) return t(`history.${outcome}`);
+    return FAILURE_CATEGORIES[outcome] ? t(`failure.${outcome}.title`) : outcome;
+}
 
-    // --- Trigger icons stagger ---
-    setTimeout(() => {
-        footerIcons?.classList.add("animate");
-    }, 1100);
+function usbBridgeInfo(port) {
+    const { usbVendorId, usbProductId } = port?.getInfo?.() || {};
+    if (usbVendorId === undefined) return null;
+    const hex = n => n.toString(16).padStart(4, "0");
+    const id = `${hex(usbVendorId)}:${hex(usbProductId)}`;
+    const name = USB_BRIDGES[id] || (usbVendorId === ESPRESSIF_USB_VID ? "Espressif native USB" : "Unknown bridge");
+    return { id, name };
+}
 
-    document.getElementById("reflash").onclick = () => {
-        resetSuccessAnimations();
-        goToSlide("hero");
-        resetHints();
+async function startInstallSession(port, chip, parts) {
+    const ctx = currentInstallContext || {};
+    installSession = {
+        started: Date.now(),
+        ended: null,
+        chip,
+        mac: ctx.device?.info?.mac || null,
+        mode: ctx.restore ? "Restore Backup" : shouldKeepData() ? "Update (Keep Data)" : "Factory (Erase All)",
+        firmware: ctx.localImages ? "Local files" : `v${ctx.version}`,
+        parts: parts.map(p => ({ path: p.path, address: p.offset, type: p.type || null })),
+        usb: usbBridgeInfo(port),
+        baudrates: [],
+        retries: 0,
+        outcome: "running",
+        error: null,
+        log: []
     };
+    await persistInstallSession(installSession);
 }
 
-function slideBootmode() {
-    goToSlide("boot-mode");
-    document.getElementById("boot-mode-close").onclick = () => {
-        log("User cancelled installation");
-        goToSlide("hero");
-        resetHints();
-    };
+function recordInstallLog(args) {
+    if (!installSession || installSession.log.length >= INSTALL_LOG_LIMIT) return;
+    const text = args.map(a => {
+        if (typeof a === "string") return a;
+        if (a instanceof Error) return a.message;
+        try { return JSON.stringify(a); } catch { return String(a); }
+    }).join(" ");
+    installSession.log.push({ time: Date.now(), text });
 }
 
-function slideError() {
-    goToSlide("error");
-    document.getElementById("error-close").onclick = () => {
-        log("User cancelled installation");
-        goToSlide("hero");
-        resetHints();
-    };
+async function finishInstallSession(outcome, error = null) {
+    const session = installSession;
+    if (!session) return;
+    installSession = null;
+    Object.assign(session, { outcome, error, ended: Date.now() });
+    await persistInstallSession(session);
 }
 
-function slideDisconnected() {
-    goToSlide("disconnected");
-    document.getElementById("disconnect-close").onclick = () => {
-        log("User cancelled installation");
-        goToSlide("hero");
-        resetHints();
+// History is a convenience; an install never fails because of it
+async function persistInstallSession(session) {
+    try {
+        session.id = await saveInstallSession(session);
+    } catch (e) {
+        console.warn("Install history unavailable:", e);
+    }
+}
+
+function diagnosticEnvironment() {
+    return {
+        installer: new URL(import.meta.url).searchParams.get("v"),
+        manifest: manifest ? `${manifest.name} v${manifest.version}` : null,
+        userAgent: navigator.userAgent,
+        platform: navigator.userAgentData?.platform || navigator.platform,
+        language: navigator.language,
+        webSerial: !!navigator.serial,
+        online: navigator.onLine,
+        connectionOverride: connectionOverride()
     };
 }
 
-function slideUnsupportedBoard(chip) {
-    // Fill static text (ONE TIME, safe)
-    document.getElementById("confirm-chip-unsupported").innerHTML =
-        `Unsupported <strong>${chip}</strong> board detected`;
+function exportInstallSession(session) {
+    const bundle = diagnosticBundle(session, diagnosticEnvironment());
+    const date = new Date(session.started).toISOString().slice(0, 10);
+    downloadBlob(
+        new Blob([JSON.stringify(bundle, null, 2)], { type: "application/json" }),
+        `esptimecast-diagnostics-${session.chip.toLowerCase()}-${date}-${session.id}.json`
+    );
+}
 
-    // Move to confirm slide
-    goToSlide("unsupported");
+function openHistoryModal() {
+    const modal = document.getElementById("history-modal");
+    if (!modal) return;
+    renderInstallHistory();
+    showModal(modal);
+}
 
-    // Wire buttons
-    document.getElementById("unsupported-cancel").onclick = () => {
-        log("User cancelled installation");
-        goToSlide("hero");
-        resetHints();
-    };
+function closeHistoryModal() {
+    const modal = document.getElementById("history-modal");
+    if (modal) hideModal(modal);
+}
 
-    document.getElementById("unsupported-github").onclick = () => {
-        window.open(
-            "https://github.com/mfactory-osaka/ESPTimeCast",
-            "_blank"
-        );
-    };
+async function renderInstallHistory() {
+    const list = document.getElementById("history-list");
+    const empty = document.getElementById("history-empty");
+    if (!list) return;
+    let sessions = [];
+    try {
+        sessions = await listInstallSessions();
+    } catch (e) {
+        log("⚠️ Install history unavailable: " + e.message);
+    }
+    if (empty) empty.hidden = sessions.length > 0;
+    list.replaceChildren(...sessions.map(historyItem));
 }
 
-function slideUnknownESP() {
-    goToSlide("unknown");
-    document.getElementById("unknown-close").onclick = () => {
-        log("User cancelled installation");
-        goToSlide("hero");
-        resetHints();
+function historyItem(session) {
+    const li = document.createElement("li");
+    const details = document.createElement("details");
+    const summary = document.createElement("summary");
+    const outcome = document.createElement("span");
+    const inProgress = session.outcome === "running" && session.id === installSession?.id;
+    outcome.className = `history-outcome ${session.outcome}`;
+    outcome.textContent = inProgress ? t("history.inProgress") : outcomeLabel(session.outcome);
+    const started = formatDateTime(session.started);
+    summary.append(`${started} · ${session.chip} · ${session.firmware} `, outcome);
+    details.append(summary);
+    // Logs can be long; only build the body when someone looks
+    details.addEventListener("toggle", () => {
+        if (details.open && details.childElementCount === 1) details.append(...historyDetails(session));
+    });
+    li.append(details);
+    return li;
+}
+
+function historyDetails(session) {
+    const hex = n => "0x" + n.toString(16).toUpperCase();
+    const rows = [
+        [t("history.mode"), session.mode],
+        [t("history.mac"), session.mac],
+        [t("history.usb"), session.usb && `${session.usb.name} (${session.usb.id})`],
+        [t("history.parts"), session.parts.map(p => `${p.path.split("/").pop()} @ ${hex(p.address)}`).join("\n")],
+        [t("history.baud"), session.baudrates.join(" → ")],
+        [t("history.retries"), String(session.retries)],
+        [t("history.duration"), session.ended
+            ? t("history.seconds", { count: Math.round((session.ended - session.started) / 1000) })
+            : null],
+        [t("history.error"), session.error]
+    ];
+    const list = document.createElement("dl");
+    list.append(...rows.filter(([, value]) => value).flatMap(([label, value]) => {
+        const dt = document.createElement("dt");
+        dt.textContent = label;
+        const dd = document.createElement("dd");
+        dd.textContent = value;
+        return [dt, dd];
+    }));
+
+    const pre = document.createElement("pre");
+    pre.className = "history-log";
+    const tail = session.log.slice(-HISTORY_LOG_TAIL);
+    const earlier = session.log.length - tail.length;
+    pre.textContent = (earlier > 0 ? t("history.earlierLines", { count: earlier }) + "\n" : "") +
+        tail.map(line => `${formatClockTime(line.time)} ${line.text}`).join("\n");
+
+    const actions = document.createElement("div");
+    actions.className = "history-actions";
+    const exportButton = document.createElement("button");
+    exportButton.type = "button";
+    exportButton.className = "link-button";
+    exportButton.textContent = t("history.export");
+    exportButton.onclick = () => exportInstallSession(session);
+    const deleteButton = document.createElement("button");
+    deleteButton.type = "button";
+    deleteButton.className = "link-button";
+    deleteButton.textContent = t("history.delete");
+    deleteButton.onclick = async () => {
+        await deleteInstallSession(session.id).catch(e => log("⚠️ " + e.message));
+        renderInstallHistory();
     };
+    actions.append(exportButton, deleteButton);
+    return [list, pre, actions];
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+    const modal = document.getElementById("history-modal");
+    if (!modal) return;
+    document.getElementById("history-clear")?.addEventListener("click", async (e) => {
+        e.preventDefault();
+        await clearInstallHistory().catch(err => log("⚠️ " + err.message));
+        renderInstallHistory();
+    });
+    document.getElementById("close-history")?.addEventListener("click", (e) => {
+        e.preventDefault();
+        closeHistoryModal();
+    });
+    modal.addEventListener("click", (e) => {
+        if (e.target === modal) closeHistoryModal();
+    });
+    document.addEventListener("keydown", (e) => {
+        if (e.key === "Escape" && modal.classList.contains("show")) {
+            closeHistoryModal();
+        }
+    });
+});
+
+// ================================
+// TERMINAL
+// ================================
+
+let terminalPort = null;
+let terminalReader = null;
+let terminalReadLoop = null;
+let terminalKeepReading = false;
+let terminalBaud = 115200;
+let terminalDeviceInfo = null;      // identity of the device to reattach to after a reset
+let terminalAwaitingDevice = false;
+let terminalReconnecting = false;
+let terminalAnsiState = {};
+let terminalConnectedAt = 0;
+let terminalTimestampFormat = "clock";
+let terminalCrash = null;           // last dump seen: { crash, anchor, report }
+let localSymbols = null;            // { name, table } loaded from disk
+const buildSymbols = new Map();     // symbol file base URL → Promise<SymbolTable | null>
+const crashCollector = new CrashCollector((lines, anchor) => decodeTerminalCrash(lines, anchor));
+let terminalLineBuffer = "";
+let terminalAutoscroll = true;
+let terminalFilter = null;          // { regex, exclude } while a filter is set
+let terminalSearchQuery = "";       // lower-cased
+let terminalSearchCurrent = null;   // line holding the selected match
+let terminalPaused = false;
+let terminalPauseSeq = 0;           // lines from this seq on stay hidden while paused
+let terminalPendingLines = 0;
+let terminalRenderQueued = false;
+const telemetry = new TelemetryLog();     // JSON objects seen in the output
+let inspectorOpen = false;
+let inspectorSelected = null;       // record shown in the tree; null = follow the latest
+let inspectorCharted = [];          // numeric field paths with a chart
+let inspectorFieldsChosen = false;  // false until the user picks charts themselves
+const inspectorExpanded = new Map();    // tree path → open, as last toggled
+let inspectorRenderQueued = false;
+let terminalFooterOriginalHTML = null;
+let terminalStatus = null;
+let terminalHistory = [];
+let terminalHistoryIndex = -1;   // -1 = editing a new line
+let terminalDraft = "";
+
+const TERMINAL_LINE_ENDINGS = { none: "", lf: "\n", cr: "\r", crlf: "\r\n" };
+const TERMINAL_HISTORY_LIMIT = 50;
+const TERMINAL_BAUD_RATES = [9600, 19200, 38400, 57600, 74880, 115200, 230400, 460800, 921600];
+const TERMINAL_TIMESTAMP_FORMATS = ["clock", "elapsed", "off"];
+
+// ---------- STATUS UI ----------
+
+// key/params: the terminal.* message, kept so a language switch can redraw it
+function setTerminalStatus(state, key, params) {
+    terminalStatus = { state, key, params };
+    const dot = document.getElementById("termStatusDot");
+    const label = document.getElementById("termStatusText");
+    if (!dot || !label) return;
+    dot.className = "dot"; // reset
+    if (state === "connected") dot.classList.add("green");
+    else if (state === "error") dot.classList.add("red");
+    else dot.classList.add("gray");
+    label.textContent = key ? t(key, params) : "";
+}
+
+// Script-set terminal text that applyTranslations can't reach
+function refreshTerminalText() {
+    if (terminalStatus) setTerminalStatus(terminalStatus.state, terminalStatus.key, terminalStatus.params);
+    updateTerminalPauseButton();
+    updateTerminalSearchCount();
+    applyTerminalHexMode();
+    // Drop the render caches so the inspector rebuilds its text
+    const fields = document.getElementById("inspectorFields");
+    const tree = document.getElementById("inspectorTree");
+    if (fields) fields._key = undefined;
+    if (tree) tree._record = undefined;
+    document.querySelectorAll(".inspector-chart-head button")
+        .forEach(button => { button.title = t("inspector.removeChart"); });
+    renderInspector();
+}
+
+// ---------- OUTPUT ----------
+
+// Scrollback is a fixed-capacity ring of one-row lines, and only the rows
+// around the viewport exist in the DOM, so a board that logs for days costs
+// a bounded amount of memory and no layout work.
+const TERMINAL_SCROLLBACK = 50000;
+const TERMINAL_ROW_HEIGHT = 20;     // px, keep in sync with .term-line
+const TERMINAL_OVERSCAN = 20;       // rows rendered beyond each edge of the viewport
+
+class TerminalBuffer {
+    constructor(capacity) {
+        this.capacity = capacity;
+        this._nextSeq = 0;
+        this.clear();
+    }
+
+    clear() {
+        this._items = [];
+        this._start = 0;
+        this.length = 0;
+    }
+
+    // Lines carry consecutive sequence numbers: index = seq - firstSeq
+    get firstSeq() {
+        return this._nextSeq - this.length;
+    }
+
+    get nextSeq() {
+        return this._nextSeq;
+    }
+
+    at(i) {
+        return this._items[(this._start + i) % this.capacity];
+    }
+
+    has(line) {
+        const i = line.seq - this.firstSeq;
+        return i >= 0 && i < this.length && this.at(i) === line;
+    }
+
+    indexOf(line) {
+        return this.has(line) ? line.seq - this.firstSeq : -1;
+    }
+
+    // Index of the first line whose seq is >= `seq`
+    lowerBound(seq) {
+        return Math.max(0, Math.min(this.length, seq - this.firstSeq));
+    }
+
+    // Returns the line pushed out of the front once the buffer is full
+    push(line) {
+        line.seq = this._nextSeq++;
+        if (this.length < this.capacity) {
+            this._items[(this._start + this.length) % this.capacity] = line;
+            this.length++;
+            return null;
+        }
+        const evicted = this._items[this._start];
+        this._items[this._start] = line;
+        this._start = (this._start + 1) % this.capacity;
+        return evicted;
+    }
+
+    // Edits in the middle renumber everything; only crash reports need this
+    splice(start, deleteCount, ...lines) {
+        const all = [];
+        for (let i = 0; i < this.length; i++) all.push(this.at(i));
+        all.splice(start, deleteCount, ...lines);
+        this._nextSeq = this.firstSeq;
+        this.clear();
+        for (const line of all.slice(-this.capacity)) this.push(line);
+    }
 }
 
-function nextFrame() {
-    return new Promise(resolve => requestAnimationFrame(resolve));
+// Ordered subset of the buffer (filter results, search hits). The buffer only
+// evicts from the front, so lines leave these lists from the front as well.
+class TerminalLineList {
+    constructor() {
+        this.clear();
+    }
+
+    clear() {
+        this._items = [];
+        this._head = 0;
+    }
+
+    get length() {
+        return this._items.length - this._head;
+    }
+
+    at(i) {
+        return this._items[this._head + i];
+    }
+
+    push(line) {
+        this._items.push(line);
+    }
+
+    evict(line) {
+        if (this._items[this._head] !== line) return;
+        if (++this._head > 4096) {
+            this._items = this._items.slice(this._head);
+            this._head = 0;
+        }
+    }
+
+    lowerBound(seq) {
+        let lo = 0;
+        let hi = this.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (this.at(mid).seq < seq) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo;
+    }
 }
 
-let currentSlide = document.querySelector(".slide.active");
-
-async function goToSlide(name) {
-    const next = document.querySelector(`[data-slide="${name}"]`);
-    if (!next || next === currentSlide) return;
-    const oldSlide = currentSlide;
+const terminalBuffer = new TerminalBuffer(TERMINAL_SCROLLBACK);
+const terminalView = new TerminalLineList();      // lines passing the filter
+const terminalMatches = new TerminalLineList();   // lines of the view containing the search text
 
-    // 1. Start the exit animation for the current slide
-    if (oldSlide) {
-        oldSlide.classList.remove("active");
-        oldSlide.classList.add("exit-left");
+function terminalWrite(text, addTimestamp = true) {
+    terminalLineBuffer += text;
+    let lines = terminalLineBuffer.split("\n");
 
-        // 2. Cleanup: After the 0.5s transition, reset its position to the right
-        // so it's ready for the next time it's called.
-        setTimeout(() => {
-            oldSlide.classList.remove("exit-left");
-            // By removing exit-left, the base .slide CSS puts it back at translateX(80px)
-        }, 500);
+    // keep last partial line in buffer
+    terminalLineBuffer = lines.pop();
+    for (const raw of lines) {
+        const rows = parseTerminalLine(raw.replace(/\r$/, ""), addTimestamp);
+        rows.forEach(appendTerminalRow);
+        if (addTimestamp) crashCollector.feed(rows[0].text, rows[rows.length - 1]);
     }
+    if (!lines.length) return;
+    if (terminalPaused) updateTerminalPauseButton();
+    else scheduleTerminalRender();
+}
 
-    // 3. Prepare the next slide to enter from the right
-    next.classList.remove("exit-left"); // Safety
-    next.classList.add("pre-right");
-    void next.offsetWidth; // Force reflow to "snap" it to the right position
-
-    // 4. Trigger the entry
-    next.classList.remove("pre-right");
-    next.classList.add("active");
-    updateStepper(name);
-    currentSlide = next;
+// A line of its own in the scrollback, e.g. where a reset was triggered
+function terminalMarker(label) {
+    if (terminalLineBuffer) terminalWrite("\n");
+    appendTerminalRow(plainTerminalLine(`──── ${label} ────`, { time: Date.now(), kind: "marker" }));
+    if (terminalPaused) updateTerminalPauseButton();
+    else scheduleTerminalRender();
 }
 
-function updateStepper(slideName) {
-    let currentStep = 1;
-    if (slideName === "confirm") {
-        currentStep = 2;
+function appendTerminalRow(line) {
+    const evicted = terminalBuffer.push(line);
+    if (evicted) {
+        terminalView.evict(evicted);
+        terminalMatches.evict(evicted);
     }
-    if (slideName === "flashing") {
-        currentStep = 2; // still in confirmation phase
+    if (terminalFilter) {
+        if (!passesTerminalFilter(line)) return;
+        terminalView.push(line);
     }
-    if (slideName === "success") {
-        currentStep = 3;
+    if (terminalSearchQuery && line.text.toLowerCase().includes(terminalSearchQuery)) {
+        terminalMatches.push(line);
     }
-    document.querySelectorAll(".step").forEach(step => {
-        const stepNumber = parseInt(step.dataset.step, 10);
-        step.classList.remove("active", "done");
-        if (stepNumber < currentStep) {
-            step.classList.add("done");
-        } else if (stepNumber === currentStep) {
-            step.classList.add("active");
-        }
-    });
+    if (terminalPaused) terminalPendingLines++;
 }
 
-function showHint(index) {
-    const hints = document.querySelectorAll(".hints .hint");
-    hints.forEach((hint, i) => {
-        hint.classList.remove("active");
-    });
-    if (hints[index]) {
-        hints[index].classList.add("active");
+// One log line becomes one row, or several when a JSON payload is pretty-printed
+function parseTerminalLine(raw, addTimestamp) {
+    const { text, segments } = parseAnsi(raw, terminalAnsiState);
+    const match = text.match(LOG_LEVEL_PATTERN);
+    const line = {
+        time: addTimestamp && text.trim() !== "" ? Date.now() : null,
+        text,
+        segments,
+        level: match ? match[1] || match[2] : null
+    };
+    // Detect JSON payload
+    const jsonStart = text.indexOf("{");
+    if (line.time && jsonStart !== -1) {
+        try {
+            const data = JSON.parse(text.substring(jsonStart));
+            const pretty = JSON.stringify(data, null, 2);
+            const prefix = text.substring(0, jsonStart);
+            recordTelemetry(line.time, data, prefix.trim());
+            Object.assign(line, plainTerminalLine(prefix, { time: line.time, level: line.level }));
+            // Filters judge the whole block by its first row
+            line.fullText = prefix + "\n" + pretty;
+            const body = pretty.split("\n").map(row => plainTerminalLine(row, { level: line.level, head: line }));
+            return [line, ...body];
+        } catch {
+            // not valid JSON → ignore
+        }
     }
+    return [line];
 }
 
-function resetHints() {
-    const hints = document.querySelectorAll(".hints .hint");
-    // Remove active from all
-    hints.forEach(hint => hint.classList.remove("active"));
-    // Small delay allows fade-out animation
-    setTimeout(() => {
-        hints[0].classList.add("active");
-    }, 200);
+function plainTerminalLine(text, extra = {}) {
+    return { time: null, text, segments: [{ text, style: "" }], level: null, ...extra };
 }
 
-function hideHints() {
-    const hints = document.querySelectorAll(".hints .hint");
-    hints.forEach(hint => hint.classList.remove("active"));
+function passesTerminalFilter(line) {
+    const head = line.head || line;
+    return terminalFilter.regex.test(head.fullText ?? head.text) !== terminalFilter.exclude;
 }
 
-function setFlashingTitle(text) {
-    const title = document.getElementById("flashing-title");
-    if (title) title.textContent = text;
+function renderTerminalLine(line) {
+    const el = document.createElement("div");
+    el.className = "term-line";
+    if (line.level) el.classList.add(LOG_LEVEL_CLASSES[line.level]);
+    if (line.kind) el.classList.add(`term-${line.kind}`);
+    const stamp = formatTerminalTimestamp(line.time);
+    if (stamp) {
+        const time = document.createElement("span");
+        time.className = "term-time";
+        time.textContent = stamp + " ";
+        el.append(time);
+    }
+    const hits = terminalSearchHits(line.text);
+    const current = line === terminalSearchCurrent;
+    let offset = 0;
+    for (const seg of line.segments) {
+        let target = el;
+        if (seg.style) {
+            target = document.createElement("span");
+            target.style.cssText = seg.style;
+            el.append(target);
+        }
+        appendWithHits(target, seg.text, offset, hits, current);
+        offset += seg.text.length;
+    }
+    return el;
 }
 
-function showLoader() {
-    const loader = document.getElementById("flash-loader");
-    if (loader) loader.style.display = "inline-block";
+// [start, end) ranges of the search text in `text`
+function terminalSearchHits(text) {
+    const hits = [];
+    if (!terminalSearchQuery) return hits;
+    const lower = text.toLowerCase();
+    for (let i = lower.indexOf(terminalSearchQuery); i !== -1; i = lower.indexOf(terminalSearchQuery, i + terminalSearchQuery.length)) {
+        hits.push([i, i + terminalSearchQuery.length]);
+    }
+    return hits;
+}
 
-    if (progressAnimationFrame) {
-        cancelAnimationFrame(progressAnimationFrame);
-        progressAnimationFrame = null;
+// Appends `text` (starting at `offset` within the line), wrapping hits in <mark>;
+// a hit that spans two colour segments is marked in both
+function appendWithHits(parent, text, offset, hits, current) {
+    let at = 0;
+    for (const [start, end] of hits) {
+        const from = Math.max(start - offset, at);
+        const to = Math.min(end - offset, text.length);
+        if (to <= from) continue;
+        if (from > at) parent.append(text.slice(at, from));
+        const mark = document.createElement("mark");
+        mark.className = current ? "term-match current" : "term-match";
+        mark.textContent = text.slice(from, to);
+        parent.append(mark);
+        at = to;
     }
+    if (at < text.length) parent.append(text.slice(at));
+}
 
-    if (progressWrapper) progressWrapper.remove();
+function formatTerminalTimestamp(time) {
+    if (!time || terminalTimestampFormat === "off") return "";
+    if (terminalTimestampFormat === "elapsed") {
+        return `[+${((time - terminalConnectedAt) / 1000).toFixed(3)}]`;
+    }
+    return `[${formatClockTime(time)}]`;
+}
 
-    progressWrapper = null;
-    progressRingBar = null;
-    progressText = null;
+function formatClockTime(time) {
+    const d = new Date(time);
+    return String(d.getHours()).padStart(2, "0") + ":" +
+        String(d.getMinutes()).padStart(2, "0") + ":" +
+        String(d.getSeconds()).padStart(2, "0") + "." +
+        String(d.getMilliseconds()).padStart(3, "0");
 }
 
-function switchToProgressRing() {
-    const loader = document.getElementById("flash-loader");
-    if (loader) loader.style.display = "none";
+// What Copy / Download hand out: timestamps as shown, no escape codes.
+// "view" limits it to the lines the filter lets through.
+function terminalPlainText(scope = "all") {
+    const lines = scope === "view" ? terminalViewLines() : terminalBuffer;
+    const out = [];
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines.at(i);
+        const stamp = formatTerminalTimestamp(line.time);
+        out.push(stamp ? `${stamp} ${line.text}` : line.text);
+    }
+    return out.join("\n");
+}
 
-    showProgressRing();
+// ---------- VIEW ----------
+
+function terminalViewLines() {
+    return terminalFilter ? terminalView : terminalBuffer;
 }
 
-function resetFlashingUI() {
-    setFlashingTitle("Preparing...");
-    showLoader();
+// Rows that may be shown: while paused, nothing that arrived after the pause
+function terminalShownCount(list) {
+    return terminalPaused ? list.lowerBound(terminalPauseSeq) : list.length;
+}
 
-    // Hard reset animation state
-    visualProgress = 0;
-    targetProgress = 0;
+function scheduleTerminalRender() {
+    if (terminalRenderQueued) return;
+    terminalRenderQueued = true;
+    requestAnimationFrame(renderTerminalView);
+}
 
-    if (progressAnimationFrame) {
-        cancelAnimationFrame(progressAnimationFrame);
-        progressAnimationFrame = null;
-    }
+function renderTerminalView() {
+    terminalRenderQueued = false;
+    const el = document.getElementById("terminalOutput");
+    const rows = document.getElementById("terminalRows");
+    if (!el || !rows) return;
+    const view = terminalViewLines();
+    const count = terminalShownCount(view);
+    rows.parentElement.style.height = `${count * TERMINAL_ROW_HEIGHT}px`;
+    if (terminalAutoscroll && !terminalPaused) el.scrollTop = el.scrollHeight;
+
+    const first = Math.max(0, Math.floor(el.scrollTop / TERMINAL_ROW_HEIGHT) - TERMINAL_OVERSCAN);
+    const last = Math.min(count, Math.ceil((el.scrollTop + el.clientHeight) / TERMINAL_ROW_HEIGHT) + TERMINAL_OVERSCAN);
+    const children = [];
+    for (let i = first; i < last; i++) children.push(renderTerminalLine(view.at(i)));
+    rows.style.transform = `translateY(${first * TERMINAL_ROW_HEIGHT}px)`;
+    rows.replaceChildren(...children);
+    updateTerminalSearchCount();
+}
 
-    if (progressRingBar) {
-        progressRingBar.style.strokeDashoffset = progressCircumference;
+// Recomputes the filtered view and the search hits from the whole buffer
+function rebuildTerminalView() {
+    terminalView.clear();
+    if (terminalFilter) {
+        for (let i = 0; i < terminalBuffer.length; i++) {
+            const line = terminalBuffer.at(i);
+            if (passesTerminalFilter(line)) terminalView.push(line);
+        }
     }
+    rebuildTerminalMatches();
+}
 
-    if (progressText) {
-        progressText.textContent = "0%";
+function rebuildTerminalMatches() {
+    terminalMatches.clear();
+    if (terminalSearchQuery) {
+        const view = terminalViewLines();
+        for (let i = 0; i < view.length; i++) {
+            const line = view.at(i);
+            if (line.text.toLowerCase().includes(terminalSearchQuery)) terminalMatches.push(line);
+        }
     }
+    scheduleTerminalRender();
+}
 
-    if (progressWrapper) {
-        progressWrapper.classList.remove("visible");
-    }
+function clearTerminalOutput() {
+    terminalBuffer.clear();
+    terminalView.clear();
+    terminalMatches.clear();
+    terminalSearchCurrent = null;
+    terminalPauseSeq = terminalBuffer.nextSeq;
+    terminalPendingLines = 0;
+    terminalLineBuffer = "";
+    terminalAnsiState = {};
+    terminalCrash = null;
+    crashCollector.reset();
+    updateTerminalPauseButton();
+    scheduleTerminalRender();
 }
 
-function resetSuccessAnimations() {
-    const checkmark = document.querySelector(".checkmark");
-    const footerIcons = document.querySelector(".footer-icons");
+function setTerminalAutoscroll(enabled) {
+    terminalAutoscroll = enabled;
+    const toggle = document.getElementById("terminalAutoscroll");
+    if (toggle) toggle.checked = enabled;
+    localStorage.setItem("terminalAutoscroll", enabled);
+}
 
-    document.body.classList.remove("success-pulse");
-    footerIcons?.classList.remove("animate");
+// ---------- SEARCH / FILTER / PAUSE ----------
 
-    if (checkmark) {
-        checkmark.classList.remove("animate");
-        // Force reflow so CSS animation can replay
-        void checkmark.offsetWidth;
+// Incremental: every keystroke re-scans the view and jumps to the first hit
+// at or below the top of the viewport
+function setTerminalSearch(query) {
+    terminalSearchQuery = query.toLowerCase();
+    terminalSearchCurrent = null;
+    rebuildTerminalMatches();
+    const count = terminalShownCount(terminalMatches);
+    if (!count) return;
+    const el = document.getElementById("terminalOutput");
+    const view = terminalViewLines();
+    const top = view.at(Math.floor((el?.scrollTop || 0) / TERMINAL_ROW_HEIGHT));
+    const next = top ? terminalMatches.lowerBound(top.seq) : 0;
+    showTerminalMatch(terminalMatches.at(next < count ? next : count - 1));
+}
+
+function stepTerminalMatch(step) {
+    const count = terminalShownCount(terminalMatches);
+    if (!count) return;
+    let i;
+    if (terminalSearchCurrent && terminalBuffer.has(terminalSearchCurrent)) {
+        i = terminalMatches.lowerBound(terminalSearchCurrent.seq) + step;
+    } else {
+        i = step > 0 ? 0 : count - 1;
     }
+    showTerminalMatch(terminalMatches.at((i + count) % count));
 }
 
-let subtitleTimeout = null;
-let hoverCount = 0;
+function showTerminalMatch(line) {
+    terminalSearchCurrent = line;
+    const el = document.getElementById("terminalOutput");
+    if (el) {
+        const index = terminalViewLines().lowerBound(line.seq);
+        setTerminalAutoscroll(false);
+        el.scrollTop = index * TERMINAL_ROW_HEIGHT - el.clientHeight / 2;
+    }
+    scheduleTerminalRender();
+}
 
-function initFooterSubtitles() {
-    const icons = document.querySelectorAll(".icon-btn");
-    const subtitle = document.getElementById("footerSubtitle");
+function updateTerminalSearchCount() {
+    const label = document.getElementById("terminalSearchCount");
+    if (!label) return;
+    if (!terminalSearchQuery) {
+        label.textContent = "";
+        return;
+    }
+    const count = terminalShownCount(terminalMatches);
+    if (!count) {
+        label.textContent = t("terminal.noMatches");
+        return;
+    }
+    const current = terminalSearchCurrent && terminalBuffer.has(terminalSearchCurrent)
+        ? terminalMatches.lowerBound(terminalSearchCurrent.seq) + 1
+        : 0;
+    label.textContent = current ? `${current}/${count}` : `${count}`;
+}
 
-    if (!icons.length || !subtitle) return;
+// Returns an error message for an invalid pattern (the old filter stays active)
+function setTerminalFilter(pattern, exclude) {
+    let regex = null;
+    if (pattern) {
+        try {
+            regex = new RegExp(pattern, "i");
+        } catch (e) {
+            return e.message;
+        }
+    }
+    terminalFilter = regex ? { regex, exclude } : null;
+    terminalSearchCurrent = null;
+    rebuildTerminalView();
+    return null;
+}
 
-    const year = new Date().getFullYear();
-    const version = manifest?.version ? ` v${manifest.version}` : "";
-    const defaultText = `© ${year} ESPTimeCast${version}`;
+// Paused: lines keep landing in the buffer, the view stays where it is
+function setTerminalPaused(paused) {
+    terminalPaused = paused;
+    terminalPauseSeq = terminalBuffer.nextSeq;
+    terminalPendingLines = 0;
+    updateTerminalPauseButton();
+    scheduleTerminalRender();
+}
 
-    subtitle.textContent = defaultText;
-    subtitle.classList.add("visible", "default-text");
+function updateTerminalPauseButton() {
+    const button = document.getElementById("terminalPause");
+    if (!button) return;
+    button.classList.toggle("active", terminalPaused);
+    button.textContent = !terminalPaused
+        ? t("terminal.pause")
+        : terminalPendingLines ? t("terminal.resumeNew", { count: terminalPendingLines }) : t("terminal.resume");
+}
 
-    icons.forEach(icon => {
-        icon.addEventListener("mouseenter", () => {
-            hoverCount++;
-            clearTimeout(subtitleTimeout);
-            const newText = icon.getAttribute("aria-label");
-            if (subtitle.textContent !== newText) {
-                subtitle.classList.remove("visible");
-                setTimeout(() => {
-                    subtitle.textContent = newText;
-                    subtitle.classList.remove("default-text");
-                    subtitle.classList.add("visible");
-                }, 100);
-            }
-        });
+function initTerminalToolbar() {
+    const search = document.getElementById("terminalSearch");
+    const filter = document.getElementById("terminalFilter");
+    const filterMode = document.getElementById("terminalFilterMode");
+    if (!search || !filter || !filterMode) return;
 
-        icon.addEventListener("mouseleave", () => {
-            hoverCount--;
-            subtitleTimeout = setTimeout(() => {
-                if (hoverCount === 0) {
-                    subtitle.classList.remove("visible");
-                    setTimeout(() => {
-                        subtitle.textContent = defaultText;
-                        subtitle.classList.add("default-text");
-                        subtitle.classList.add("visible");
-                    }, 120);
-                }
-            }, 250);
-        });
+    search.addEventListener("input", () => setTerminalSearch(search.value));
+    search.addEventListener("keydown", (e) => {
+        if (e.key === "Enter") {
+            e.preventDefault();
+            stepTerminalMatch(e.shiftKey ? -1 : 1);
+        }
     });
+    document.getElementById("terminalSearchPrev")
+        ?.addEventListener("click", () => stepTerminalMatch(-1));
+    document.getElementById("terminalSearchNext")
+        ?.addEventListener("click", () => stepTerminalMatch(1));
+
+    const applyFilter = () => {
+        const error = setTerminalFilter(filter.value, filterMode.value === "exclude");
+        filter.classList.toggle("invalid", !!error);
+        filter.title = error || t("terminal.filterTitle");
+    };
+    filter.addEventListener("input", applyFilter);
+    filterMode.addEventListener("change", applyFilter);
+
+    document.getElementById("terminalPause")
+        ?.addEventListener("click", () => setTerminalPaused(!terminalPaused));
 }
 
-function enableUnsupportedMode() {
-    const heroSlide = document.querySelector('[data-slide="hero"]');
-    const startBtn = document.getElementById("start");
-    const stepper = document.querySelector(".stepper");
-    const hints = document.querySelector(".hints");
+// ---------- ANSI / LOG LEVELS ----------
 
-    // Remove Start button
-    if (startBtn) startBtn.remove();
+// CSI sequences (colours, cursor moves, erase), OSC strings and other two-byte escapes
+const ANSI_ESCAPE = /\x1b\[([0-9;?]*)([@-~])|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)|\x1b[@-Z\\-_]/g;
+const ANSI_COLORS = [
+    "#4d4d4d", "#f14c4c", "#23d18b", "#f5f543", "#3b8eea", "#d670d6", "#29b8db", "#e5e5e5",
+    "#808080", "#ff6e6e", "#5af78e", "#f4f99d", "#6fb3ff", "#ff92d0", "#9aedfe", "#ffffff"
+];
 
-    // Prevent duplicate manual button
-    if (!heroSlide.querySelector(".manual-btn")) {
-        const manualBtn = document.createElement("a");
-        manualBtn.href = "https://github.com/mfactory-osaka/ESPTimeCast";
-        manualBtn.target = "_blank";
-        manualBtn.rel = "noopener noreferrer";
-        manualBtn.className = "manual-btn";
-        manualBtn.textContent = "View Manual Installation Guide";
+// ESP-IDF: "E (1234) tag: ..."; Arduino-ESP32: "[  1234][E][file.cpp:12] ..."
+const LOG_LEVEL_PATTERN = /^(?:([EWIDV]) \(\d+\) |\[\s*\d+\]\[([EWIDV])\])/;
+const LOG_LEVEL_CLASSES = { E: "log-error", W: "log-warn", I: "log-info", D: "log-debug", V: "log-verbose" };
+
+// Splits a line into styled segments. SGR state lives in `state` so colours
+// opened on one line carry over to the next, as on a real terminal.
+function parseAnsi(raw, state) {
+    const segments = [];
+    let text = "";
+    let last = 0;
+    const push = (chunk) => {
+        if (!chunk) return;
+        segments.push({ text: chunk, style: ansiStyle(state) });
+        text += chunk;
+    };
+    ANSI_ESCAPE.lastIndex = 0;
+    for (let m; (m = ANSI_ESCAPE.exec(raw));) {
+        push(raw.slice(last, m.index));
+        last = ANSI_ESCAPE.lastIndex;
+        if (m[2] === "m") applySgr(m[1], state);
+    }
+    push(raw.slice(last));
+    return { text, segments };
+}
 
-        heroSlide.appendChild(manualBtn);
+function applySgr(params, state) {
+    const codes = params === "" ? [0] : params.split(";").map(Number);
+    for (let i = 0; i < codes.length; i++) {
+        const c = codes[i];
+        if (c === 0) {
+            for (const key of Object.keys(state)) delete state[key];
+        } else if (c === 1) state.bold = true;
+        else if (c === 2) state.dim = true;
+        else if (c === 3) state.italic = true;
+        else if (c === 4) state.underline = true;
+        else if (c === 7) state.inverse = true;
+        else if (c === 22) state.bold = state.dim = false;
+        else if (c === 23) state.italic = false;
+        else if (c === 24) state.underline = false;
+        else if (c === 27) state.inverse = false;
+        else if (c >= 30 && c <= 37) state.fg = ANSI_COLORS[c - 30];
+        else if (c >= 90 && c <= 97) state.fg = ANSI_COLORS[c - 90 + 8];
+        else if (c === 39) state.fg = null;
+        else if (c >= 40 && c <= 47) state.bg = ANSI_COLORS[c - 40];
+        else if (c >= 100 && c <= 107) state.bg = ANSI_COLORS[c - 100 + 8];
+        else if (c === 49) state.bg = null;
+        else if (c === 38 || c === 48) {
+            // 38;5;n (256 colours) or 38;2;r;g;b (true colour)
+            let color = null;
+            if (codes[i + 1] === 5) {
+                color = ansi256(codes[i + 2]);
+                i += 2;
+            } else if (codes[i + 1] === 2) {
+                color = `rgb(${codes[i + 2] | 0}, ${codes[i + 3] | 0}, ${codes[i + 4] | 0})`;
+                i += 4;
+            }
+            if (c === 38) state.fg = color;
+            else state.bg = color;
+        }
     }
+}
 
-    // Replace stepper content with warning
-    if (stepper && !stepper.querySelector(".unsupported")) {
-        stepper.innerHTML = `
-          <div class="step unsupported">
-            ⚠️ Desktop Chrome, Edge or Brave required
-          </div>
-        `;
+function ansi256(n) {
+    if (!(n >= 0 && n <= 255)) return null;
+    if (n < 16) return ANSI_COLORS[n];
+    if (n >= 232) {
+        const v = 8 + (n - 232) * 10;
+        return `rgb(${v}, ${v}, ${v})`;
     }
+    const i = n - 16;
+    const level = x => (x ? 55 + x * 40 : 0);
+    return `rgb(${level(Math.floor(i / 36))}, ${level(Math.floor(i / 6) % 6)}, ${level(i % 6)})`;
+}
 
-    // Hide hints
-    if (hints) hints.style.display = "none";
+function ansiStyle(state) {
+    let fg = state.fg;
+    let bg = state.bg;
+    if (state.inverse) [fg, bg] = [bg || "#1e1e1e", fg || "#e5e5e5"];
+    const rules = [];
+    if (fg) rules.push(`color:${fg}`);
+    if (bg) rules.push(`background:${bg}`);
+    if (state.bold) rules.push("font-weight:bold");
+    if (state.dim) rules.push("opacity:0.7");
+    if (state.italic) rules.push("font-style:italic");
+    if (state.underline) rules.push("text-decoration:underline");
+    return rules.join(";");
 }
 
-document.addEventListener("DOMContentLoaded", () => {
-    updateStepper("hero");
-    initFooterSubtitles();
-    if (!isSupportedBrowser()) {
-        enableUnsupportedMode();
-    }
-});
+// ---------- CRASH DECODER ----------
 
-// --- Helper function for flashing logic ---
-function shouldKeepData() {
-    // Returns true if the user wants to preserve current data
-    return localStorage.getItem('keepData') === 'true';
+// Symbol files are published next to the app image:
+// bins/vX.Y.Z/<chip>_app.elf, or <chip>_app.sym from `nm -nSC --line-numbers`
+async function decodeTerminalCrash(lines, anchor) {
+    const record = { crash: parseCrashDump(lines), anchor, report: [] };
+    terminalCrash = record;
+    log(`Crash dump detected (${record.crash.reason || "exception " + record.crash.cause})`);
+    await renderCrashReport(record);
 }
 
-function updateConfirmText(animate = true) {
-    if (!currentInstallContext) return;
+async function renderCrashReport(record) {
+    let symbols = null;
+    let source = "";
+    try {
+        ({ symbols = null, source = "" } = await crashSymbols(record.crash));
+    } catch (e) {
+        console.warn("Symbol loading failed:", e);
+    }
+    if (terminalCrash !== record) return;   // cleared meanwhile
+
+    const report = formatCrashReport(record.crash, symbols, source)
+        .map(text => plainTerminalLine(text, { kind: "crash" }));
+    // A re-decode (other symbols) replaces the earlier report in place
+    const previous = record.report.length ? terminalBuffer.indexOf(record.report[0]) : -1;
+    if (previous !== -1) terminalBuffer.splice(previous, record.report.length);
+    const at = terminalBuffer.indexOf(record.anchor);
+    terminalBuffer.splice(at === -1 ? terminalBuffer.length : at + 1, 0, ...report);
+    record.report = report;
+    rebuildTerminalView();
+}
 
-    const { version } = currentInstallContext;
-    const versionEl = document.getElementById("confirm-version");
-    if (!versionEl) return;
+async function crashSymbols(crash) {
+    const choice = document.getElementById("terminalSymbols")?.value || "auto";
+    const local = () => localSymbols ? { symbols: localSymbols.table, source: localSymbols.name } : {};
+    if (choice === "local") return local();
+
+    await ensureManifest();
+    let target = null;
+    if (choice !== "auto") {
+        const [version, chip] = choice.split("|");
+        target = findAppPart(r => r.version === version, chip);
+    } else if (crash.elfSha) {
+        // ESP-IDF prints the first bytes of the running app's ELF SHA-256
+        target = findAppPart(() => true, null, part => part.elf_sha256?.toLowerCase().startsWith(crash.elfSha));
+    }
+    if (target) {
+        const label = `ESPTimeCast v${target.release.version} · ${target.chip}`;
+        const symbols = await loadBuildSymbols(target.part);
+        if (symbols) return { symbols, source: label };
+        if (choice !== "auto" || !localSymbols) return { source: t("terminal.noSymbolFile", { label }) };
+    }
+    return choice === "auto" ? local() : {};
+}
 
-    const keepData = shouldKeepData();
+function findAppPart(releaseFilter, chip, partFilter = () => true) {
+    for (const release of allReleases().filter(releaseFilter)) {
+        for (const build of release.builds) {
+            if (chip && build.chipFamily !== chip) continue;
+            const part = build.parts.find(p => p.type === "app" && partFilter(p));
+            if (part) return { release, chip: build.chipFamily, part };
+        }
+    }
+    return null;
+}
 
-    const newHTML = keepData
-        ? `Updating to <strong>v${version}</strong><br>
-           Your settings and Wi-Fi configuration will be preserved.`
-        : `Installing <strong>v${version}</strong> will erase all settings and data.<br>
-           This action cannot be undone.`;
+function loadBuildSymbols(part) {
+    const base = part.url.replace(/\.bin$/i, "");
+    if (!buildSymbols.has(base)) {
+        buildSymbols.set(base, fetchSymbolFile([`${base}.elf`, `${base}.sym`]));
+    }
+    return buildSymbols.get(base);
+}
 
-    if (!animate) {
-        // Instant update (no fade)
-        versionEl.innerHTML = newHTML;
+async function fetchSymbolFile(urls) {
+    for (const url of urls) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) continue;
+            return loadSymbolFile(await response.arrayBuffer());
+        } catch (e) {
+            console.warn(`Symbols from ${url} unusable:`, e);
+        }
+    }
+    return null;
+}
+
+async function populateSymbolOptions() {
+    const select = document.getElementById("terminalSymbols");
+    if (!select || select.dataset.loaded) return;
+    try {
+        await ensureManifest();
+    } catch {
         return;
     }
+    const loadOption = select.querySelector('option[value="load"]');
+    for (const release of allReleases()) {
+        for (const build of release.builds) {
+            if (!build.parts.some(p => p.type === "app")) continue;
+            const option = document.createElement("option");
+            option.value = `${release.version}|${build.chipFamily}`;
+            option.textContent = `v${release.version} · ${build.chipFamily}`;
+            select.insertBefore(option, loadOption);
+        }
+    }
+    select.dataset.loaded = "true";
+}
 
-    // Fade mode
-    versionEl.classList.add("fading");
+function initTerminalSymbols() {
+    const select = document.getElementById("terminalSymbols");
+    const input = document.getElementById("terminalSymbolsFile");
+    if (!select || !input) return;
 
-    setTimeout(() => {
-        versionEl.innerHTML = newHTML;
-        versionEl.classList.remove("fading");
-    }, 200);
+    select.addEventListener("change", () => {
+        if (select.value === "load") {
+            select.value = localSymbols ? "local" : "auto";
+            input.click();
+            return;
+        }
+        if (terminalCrash) renderCrashReport(terminalCrash);
+    });
+
+    input.addEventListener("change", async () => {
+        const file = input.files[0];
+        input.value = "";
+        if (!file) return;
+        try {
+            const table = loadSymbolFile(await file.arrayBuffer());
+            localSymbols = { name: file.name, table };
+        } catch (e) {
+            console.warn("Symbol file rejected:", e);
+            showTerminalToast(t("terminal.symbolsRejected"));
+            return;
+        }
+        let option = select.querySelector('option[value="local"]');
+        if (!option) {
+            option = document.createElement("option");
+            option.value = "local";
+            select.insertBefore(option, select.querySelector('option[value="load"]'));
+        }
+        option.textContent = file.name;
+        select.value = "local";
+        showTerminalToast(t("terminal.symbolsLoaded", { name: file.name }));
+        if (terminalCrash) renderCrashReport(terminalCrash);
+    });
 }
 
-document.addEventListener("DOMContentLoaded", () => {
+// ---------- JSON INSPECTOR ----------
 
-    updateStepper("hero");
-    initFooterSubtitles();
+// Charted by default until the user picks fields themselves
+const INSPECTOR_DEFAULT_FIELDS = /temp|humid|rssi|heap/i;
+const INSPECTOR_EXPAND_DEPTH = 2;   // tree levels open until toggled
 
-    if (!isSupportedBrowser()) {
-        enableUnsupportedMode();
+function recordTelemetry(time, data, source) {
+    const { evicted, newNumericFields } = telemetry.add(time, data, source);
+    if (evicted && evicted === inspectorSelected) inspectorSelected = null;
+    if (!inspectorFieldsChosen) {
+        for (const path of newNumericFields) {
+            if (INSPECTOR_DEFAULT_FIELDS.test(path)) inspectorCharted.push(path);
+        }
     }
+    scheduleInspectorRender();
+}
 
-    const cogIcon = document.querySelector('.icon-cog');
-    const modal = document.getElementById('settings-modal');
-    const eraseAllCheckbox = document.getElementById('erase-all-data');
-    const closeBtn = document.getElementById("close-settings");
+function scheduleInspectorRender() {
+    if (!inspectorOpen || inspectorRenderQueued) return;
+    inspectorRenderQueued = true;
+    requestAnimationFrame(renderInspector);
+}
 
-    if (!cogIcon || !modal || !eraseAllCheckbox) return;
+function renderInspector() {
+    inspectorRenderQueued = false;
+    if (!inspectorOpen) return;
+    const count = telemetry.records.length;
+    const label = document.getElementById("inspectorCount");
+    if (label) label.textContent = t("inspector.count", { count });
+    renderInspectorList();
+    renderInspectorFields();
+    renderInspectorCharts();
+    renderInspectorTree();
+}
 
-    // Load saved setting
-    eraseAllCheckbox.checked =
-        localStorage.getItem('keepData') !== 'true';
+// Newest first. Only the records added since the last render are built;
+// the list mirrors telemetry.records, so dropped records come off the bottom.
+function renderInspectorList() {
+    const list = document.getElementById("inspectorList");
+    if (!list) return;
+    const records = telemetry.records;
+    const newest = list.firstElementChild?._record;
+    let start = newest ? records.lastIndexOf(newest) + 1 : 0;
+    if (newest && start === 0) list.replaceChildren();     // all of it dropped meanwhile
+    const fragment = document.createDocumentFragment();
+    for (let i = records.length - 1; i >= start; i--) {
+        fragment.append(inspectorListItem(records[i]));
+    }
+    list.prepend(fragment);
+    while (list.childElementCount > records.length) list.lastElementChild.remove();
+    for (const item of list.children) {
+        item.classList.toggle("selected", item._record === inspectorSelected);
+    }
+}
 
-    // Open modal
-    cogIcon.addEventListener('click', (e) => {
-        e.preventDefault();
-        modal.classList.remove('hide');
-        modal.classList.add('show');
+function inspectorListItem(record) {
+    const item = document.createElement("li");
+    item._record = record;
+    const time = document.createElement("span");
+    time.className = "term-time";
+    time.textContent = formatClockTime(record.time) + " ";
+    item.append(time, record.source || Object.keys(record.data).join(", "));
+    item.title = record.source;
+    item.addEventListener("click", () => {
+        // Clicking the selected object again goes back to following the latest
+        inspectorSelected = inspectorSelected === record ? null : record;
+        scheduleInspectorRender();
     });
+    return item;
+}
 
-    // Auto-save on change
-    eraseAllCheckbox.addEventListener("change", () => {
-        localStorage.setItem('keepData', !eraseAllCheckbox.checked);
-        updateConfirmText();
-    });
+function renderInspectorTree() {
+    const tree = document.getElementById("inspectorTree");
+    const title = document.getElementById("inspectorTreeTitle");
+    if (!tree) return;
+    const record = inspectorSelected || telemetry.records.at(-1) || null;
+    if (tree._record === record) return;
+    tree._record = record;
+    if (title) {
+        title.textContent = !record ? t("inspector.noJson")
+            : t(inspectorSelected ? "inspector.selected" : "inspector.latest", { time: formatClockTime(record.time) });
+    }
+    tree.replaceChildren();
+    if (!record) return;
+    const root = record.data;
+    for (const [key, value] of Object.entries(root)) {
+        tree.append(renderJsonNode(key, value, childPath("", key, Array.isArray(root)), 0));
+    }
+}
 
-    // Click outside closes modal
-    modal.addEventListener("click", (e) => {
-        if (e.target === modal) {
-            closeModal();
+function renderJsonNode(key, value, path, depth) {
+    if (value === null || typeof value !== "object") {
+        const leaf = document.createElement("div");
+        leaf.className = "json-leaf";
+        const name = document.createElement("span");
+        name.className = "json-key";
+        name.textContent = key;
+        const val = document.createElement("span");
+        val.className = `json-${value === null ? "null" : typeof value}`;
+        val.textContent = typeof value === "string" ? JSON.stringify(value) : String(value);
+        leaf.append(name, ": ", val);
+        if (typeof value === "number" && Number.isFinite(value)) {
+            leaf.classList.add("chartable");
+            leaf.classList.toggle("charted", inspectorCharted.includes(path));
+            leaf.title = t("inspector.chart", { path });
+            leaf.addEventListener("click", () => toggleInspectorChart(path));
         }
-    });
-
-    if (closeBtn) {
-        closeBtn.addEventListener("click", (e) => {
-            e.preventDefault(); // prevents accidental form submission
-            closeModal();
-        });
+        return leaf;
     }
 
-    function closeModal() {
-        modal.classList.add('hide');
-        setTimeout(() => {
-            modal.classList.remove('show');
-            modal.classList.remove('hide');
-        }, 300);
+    const isArray = Array.isArray(value);
+    const entries = Object.entries(value);
+    const details = document.createElement("details");
+    details.open = inspectorExpanded.get(path) ?? depth < INSPECTOR_EXPAND_DEPTH;
+    details.addEventListener("toggle", () => inspectorExpanded.set(path, details.open));
+    const summary = document.createElement("summary");
+    const name = document.createElement("span");
+    name.className = "json-key";
+    name.textContent = key;
+    summary.append(name, isArray ? ` [${entries.length}]` : ` {${entries.length}}`);
+    details.append(summary);
+    for (const [childKey, child] of entries) {
+        details.append(renderJsonNode(childKey, child, childPath(path, childKey, isArray), depth + 1));
     }
+    return details;
+}
 
-    // ESC key closes modal
-    document.addEventListener("keydown", (e) => {
-        if (e.key === "Escape" && modal.classList.contains("show")) {
-            closeModal();
-        }
-    });
-    document.body.classList.add("loaded");
-    initTerminalAutoscroll();
-    cacheTerminalFooter();
-    bindTerminalFooterEvents();
-    const footer = document.getElementById("footerVersion");
-    if (footer && manifest.version) {
-        footer.textContent = "v" + manifest.version;
-    }
-});
+// Checkbox per numeric field; rebuilt only when the fields or the picks change
+function renderInspectorFields() {
+    const box = document.getElementById("inspectorFields");
+    if (!box) return;
+    const fields = [...telemetry.numericFields];
+    const key = fields.join("\n") + "\n\n" + inspectorCharted.join("\n");
+    if (box._key === key) return;
+    box._key = key;
+    box.replaceChildren(...fields.map(path => {
+        const label = document.createElement("label");
+        const check = document.createElement("input");
+        check.type = "checkbox";
+        check.checked = inspectorCharted.includes(path);
+        check.addEventListener("change", () => toggleInspectorChart(path));
+        label.append(check, " " + path);
+        return label;
+    }));
+    if (!fields.length) box.textContent = t("inspector.noFields");
+}
 
+function toggleInspectorChart(path) {
+    inspectorCharted = inspectorCharted.includes(path)
+        ? inspectorCharted.filter(p => p !== path)
+        : [...inspectorCharted, path];
+    inspectorFieldsChosen = true;
+    localStorage.setItem("inspectorFields", JSON.stringify(inspectorCharted));
+    const tree = document.getElementById("inspectorTree");
+    if (tree) tree._record = undefined;     // refresh the charted marks
+    scheduleInspectorRender();
+}
 
-// ================================
-// TERMINAL
-// ================================
+function renderInspectorCharts() {
+    const box = document.getElementById("inspectorCharts");
+    if (!box) return;
+    const paths = inspectorCharted.filter(path => telemetry.numericFields.has(path));
+    const charts = new Map([...box.querySelectorAll(".inspector-chart")].map(el => [el.dataset.path, el]));
+    for (const [path, el] of charts) {
+        if (!paths.includes(path)) el.remove();
+    }
+    for (const path of paths) {
+        const chart = charts.get(path) || createInspectorChart(path);
+        box.append(chart);      // keeps the order of inspectorCharted
+        const points = telemetry.series(path);
+        chart.querySelector(".inspector-chart-value").textContent =
+            points.length ? String(points.at(-1).value) : "";
+        drawInspectorChart(chart.querySelector("canvas"), points);
+    }
+    const hint = box.querySelector(".inspector-hint");
+    if (hint) hint.hidden = paths.length > 0;
+}
 
-let terminalPort = null;
-let terminalReader = null;
-let terminalKeepReading = false;
-let terminalLineBuffer = "";
-let terminalAutoscroll = true;
-let terminalFooterOriginalHTML = null;
+function createInspectorChart(path) {
+    const chart = document.createElement("div");
+    chart.className = "inspector-chart";
+    chart.dataset.path = path;
+    const head = document.createElement("div");
+    head.className = "inspector-chart-head";
+    const name = document.createElement("span");
+    name.className = "json-key";
+    name.textContent = path;
+    const value = document.createElement("span");
+    value.className = "inspector-chart-value";
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.textContent = "×";
+    remove.title = t("inspector.removeChart");
+    remove.addEventListener("click", () => toggleInspectorChart(path));
+    head.append(name, value, remove);
+    chart.append(head, document.createElement("canvas"));
+    return chart;
+}
 
-// ---------- STATUS UI ----------
+// Line over the collected time span, with the min and max in the corners
+function drawInspectorChart(canvas, points) {
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    if (!width || !height) return;
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    const ctx = canvas.getContext("2d");
+    ctx.scale(ratio, ratio);
+    ctx.clearRect(0, 0, width, height);
+    if (!points.length) return;
+
+    const values = points.map(p => p.value);
+    let min = Math.min(...values);
+    let max = Math.max(...values);
+    if (min === max) {
+        min -= 1;
+        max += 1;
+    }
+    const t0 = points[0].time;
+    const span = points.at(-1).time - t0 || 1;
+    const pad = 4;
+    const x = t => pad + ((t - t0) / span) * (width - 2 * pad);
+    const y = v => height - pad - ((v - min) / (max - min)) * (height - 2 * pad);
+
+    ctx.strokeStyle = getComputedStyle(canvas).color;
+    ctx.fillStyle = ctx.strokeStyle;
+    ctx.lineWidth = 1.5;
+    if (points.length === 1) {
+        ctx.beginPath();
+        ctx.arc(width / 2, y(points[0].value), 2.5, 0, Math.PI * 2);
+        ctx.fill();
+    } else {
+        ctx.beginPath();
+        points.forEach((p, i) => (i ? ctx.lineTo : ctx.moveTo).call(ctx, x(p.time), y(p.value)));
+        ctx.stroke();
+    }
 
-function setTerminalStatus(state, text) {
-    const dot = document.getElementById("termStatusDot");
-    const label = document.getElementById("termStatusText");
-    if (!dot || !label) return;
-    dot.className = "dot"; // reset
-    if (state === "connected") dot.classList.add("green");
-    else if (state === "error") dot.classList.add("red");
-    else dot.classList.add("gray");
-    label.textContent = text || "";
+    ctx.fillStyle = "rgba(255, 255, 255, 0.5)";
+    ctx.font = "10px ui-monospace, SFMono-Regular, Menlo, monospace";
+    ctx.fillText(String(Math.max(...values)), pad, 10);
+    ctx.fillText(String(Math.min(...values)), pad, height - pad);
 }
 
-// ---------- OUTPUT ----------
+function clearTelemetry() {
+    telemetry.clear();
+    inspectorSelected = null;
+    document.getElementById("inspectorList")?.replaceChildren();
+    const tree = document.getElementById("inspectorTree");
+    if (tree) tree._record = undefined;
+    scheduleInspectorRender();
+}
 
-function terminalWrite(text, addTimestamp = true) {
-    const el = document.getElementById("terminalOutput");
-    if (!el) return;
-    terminalLineBuffer += text;
-    let lines = terminalLineBuffer.split("\n");
+function setInspectorOpen(open) {
+    inspectorOpen = open;
+    localStorage.setItem("terminalInspector", open);
+    document.querySelector(".terminal-window")?.classList.toggle("inspecting", open);
+    const panel = document.getElementById("terminalInspector");
+    if (panel) panel.hidden = !open;
+    document.getElementById("terminalInspectorToggle")?.classList.toggle("active", open);
+    scheduleInspectorRender();
+}
 
-    // keep last partial line in buffer
-    terminalLineBuffer = lines.pop();
-    let output = "";
-    for (const line of lines) {
-        if (addTimestamp && line.trim() !== "") {
-            let formattedLine = line;
-            // Detect JSON payload
-            const jsonStart = line.indexOf("{");
-            if (jsonStart !== -1) {
-                const possibleJson = line.substring(jsonStart);
-                try {
-                    const obj = JSON.parse(possibleJson);
-                    const pretty = JSON.stringify(obj, null, 2);
-                    formattedLine =
-                        line.substring(0, jsonStart) +
-                        "\n" +
-                        pretty;
-                } catch {
-                    // not valid JSON → ignore
-                }
-            }
-            const now = new Date();
-            const time =
-                String(now.getHours()).padStart(2, "0") + ":" +
-                String(now.getMinutes()).padStart(2, "0") + ":" +
-                String(now.getSeconds()).padStart(2, "0");
+function exportTelemetry(format) {
+    if (!telemetry.records.length) {
+        showTerminalToast(t("inspector.nothingToExport"));
+        return;
+    }
+    const date = new Date().toISOString().slice(0, 10);
+    const blob = format === "csv"
+        ? new Blob([telemetry.toCsv()], { type: "text/csv" })
+        : new Blob([telemetry.toNdjson()], { type: "application/x-ndjson" });
+    downloadBlob(blob, `esptimecast-telemetry-${date}.${format === "csv" ? "csv" : "ndjson"}`);
+}
 
-            output += `[${time}] ${formattedLine}\n`;
-        } else {
-            output += line + "\n";
+function initTerminalInspector() {
+    try {
+        const saved = JSON.parse(localStorage.getItem("inspectorFields"));
+        if (Array.isArray(saved)) {
+            inspectorCharted = saved.filter(path => typeof path === "string");
+            inspectorFieldsChosen = true;
         }
-    }
-    el.textContent += output;
-    if (terminalAutoscroll) {
-        el.scrollTop = el.scrollHeight;
-    }
+    } catch { }
+
+    document.getElementById("terminalInspectorToggle")
+        ?.addEventListener("click", () => setInspectorOpen(!inspectorOpen));
+    document.getElementById("inspectorCsv")
+        ?.addEventListener("click", () => exportTelemetry("csv"));
+    document.getElementById("inspectorNdjson")
+        ?.addEventListener("click", () => exportTelemetry("ndjson"));
+    document.getElementById("inspectorClear")
+        ?.addEventListener("click", clearTelemetry);
+    setInspectorOpen(localStorage.getItem("terminalInspector") === "true");
 }
 
 // ---------- CONNECT ----------
 
 async function connectTerminal() {
     try {
-        setTerminalStatus("connecting", "Connecting…");
-        const output = document.getElementById("terminalOutput");
-        if (output) output.textContent = "";   // clear window
-        terminalPort = await navigator.serial.requestPort();
-        await terminalPort.open({ baudRate: 115200 });
-        terminalKeepReading = true;
-        readTerminalLoop();
-        setTerminalStatus("connected", "Connected to ESP Board @115200");
+        setTerminalStatus("connecting", "terminal.connecting");
+        clearTerminalOutput();
+        const port = await navigator.serial.requestPort();
+        terminalDeviceInfo = port.getInfo();
+        terminalConnectedAt = Date.now();
+        await openTerminalPort(port);
         terminalWrite("=== Connected ===\n\n", false);
     } catch (err) {
         console.error(err);
-        setTerminalStatus("error", "Connection failed");
+        setTerminalStatus("error", "terminal.connectFailed");
+    }
+}
+
+async function openTerminalPort(port) {
+    await port.open({ baudRate: terminalBaud });
+    terminalPort = port;
+    terminalAwaitingDevice = false;
+    terminalKeepReading = true;
+    terminalReadLoop = readTerminalLoop();
+    setTerminalStatus("connected", "terminal.connected", { baud: terminalBaud });
+    setTerminalInputEnabled(true);
+}
+
+// Stops reading and closes the port; the scrollback stays as it is
+async function closeTerminalPort(port = terminalPort) {
+    terminalKeepReading = false;
+    setTerminalInputEnabled(false);
+    if (terminalReader) {
+        try { await terminalReader.cancel(); } catch { }
+    }
+    try { await terminalReadLoop; } catch { }
+    terminalReadLoop = null;
+    if (port) {
+        try { await port.close(); } catch { }
+    }
+    if (terminalPort === port) terminalPort = null;
+}
+
+// ---------- BAUD RATE ----------
+
+async function changeTerminalBaud(baud) {
+    terminalBaud = baud;
+    localStorage.setItem("terminalBaud", baud);
+    if (!terminalPort) return;  // used on the next (re)connect
+
+    const port = terminalPort;
+    setTerminalStatus("connecting", "terminal.switching", { baud });
+    await closeTerminalPort();
+    try {
+        await openTerminalPort(port);
+        terminalWrite(`\n=== Baud rate ${baud} ===\n`, false);
+    } catch (err) {
+        console.error(err);
+        setTerminalStatus("error", "terminal.reopenFailed");
+    }
+}
+
+function initTerminalBaud() {
+    const select = document.getElementById("terminalBaud");
+    const saved = Number(localStorage.getItem("terminalBaud"));
+    if (TERMINAL_BAUD_RATES.includes(saved)) terminalBaud = saved;
+    if (!select) return;
+    select.value = String(terminalBaud);
+    select.addEventListener("change", () => changeTerminalBaud(Number(select.value)));
+}
+
+// ---------- RESET CONTROLS ----------
+
+// DTR/RTS steps (objects for setSignals, numbers are pauses in ms). UART
+// bridges get the classic sequences runFlasher uses: DTR drives GPIO0 and
+// RTS drives EN through the usual two-transistor circuit. Espressif's native
+// USB-JTAG/CDC decodes the lines itself and needs esptool's longer
+// USB-JTAG-Serial sequence, one line at a time.
+const TERMINAL_RESET_SEQUENCES = {
+    uart: {
+        reset: [{ dataTerminalReady: false, requestToSend: true }, 100, { requestToSend: false }],
+        bootloader: [
+            { dataTerminalReady: false, requestToSend: true }, 100,
+            { dataTerminalReady: true, requestToSend: false }, 100,
+            { dataTerminalReady: false }
+        ]
+    },
+    usb: {
+        reset: [{ dataTerminalReady: false }, { requestToSend: true }, 200, { requestToSend: false }, 200],
+        bootloader: [
+            { requestToSend: false }, { dataTerminalReady: false }, 100,
+            { dataTerminalReady: true }, { requestToSend: false }, 100,
+            { requestToSend: true }, { dataTerminalReady: false }, { requestToSend: true }, 100,
+            { requestToSend: false }, { dataTerminalReady: false }
+        ]
+    }
+};
+
+async function resetTerminalDevice(mode) {
+    const port = terminalPort;
+    if (!port) return;
+    const nativeUSB = port.getInfo().usbVendorId === ESPRESSIF_USB_VID;
+    const steps = TERMINAL_RESET_SEQUENCES[nativeUSB ? "usb" : "uart"][mode];
+    terminalMarker(t(mode === "bootloader" ? "terminal.markerBootloader" : "terminal.reset"));
+    log(`Terminal: ${mode === "bootloader" ? "entering bootloader" : "resetting board"} (${nativeUSB ? "native USB" : "UART bridge"})`);
+    try {
+        for (const step of steps) {
+            if (typeof step === "number") await sleep(step);
+            else await port.setSignals(step);
+        }
+    } catch (err) {
+        // Native USB drops off the bus mid-sequence; the reconnect logic takes over
+        if (terminalPort === port) {
+            console.warn("Reset sequence failed:", err);
+            showTerminalToast(t("terminal.resetFailed", { error: err.message }));
+        }
+    }
+}
+
+function initTerminalResetButtons() {
+    for (const [id, mode] of [["terminalReset", "reset"], ["terminalBootloader", "bootloader"]]) {
+        const button = document.getElementById(id);
+        if (!button) continue;
+        button.disabled = true;
+        button.addEventListener("click", async () => {
+            button.disabled = true;
+            try {
+                await resetTerminalDevice(mode);
+            } finally {
+                button.disabled = !terminalPort;
+            }
+        });
     }
 }
 
@@ -1184,57 +5025,109 @@ async function connectTerminal() {
 
 async function readTerminalLoop() {
     const decoder = new TextDecoder();
-    try {
-        terminalReader = terminalPort.readable.getReader();
-        while (terminalKeepReading) {
-            const { value, done } = await terminalReader.read();
-            if (done) break;
-            if (value) {
-                terminalWrite(decoder.decode(value));
+    let lost = false;
+    // Framing / parity / break errors are not fatal: the port hands out a
+    // fresh readable and streaming carries on
+    while (terminalKeepReading && terminalPort?.readable && !lost) {
+        try {
+            terminalReader = terminalPort.readable.getReader();
+            while (terminalKeepReading) {
+                const { value, done } = await terminalReader.read();
+                if (done) break;
+                if (value) {
+                    terminalWrite(decoder.decode(value, { stream: true }));
+                }
+            }
+        } catch (err) {
+            console.warn("Terminal read error:", err);
+            // Device reset / USB lost
+            if (err?.name === "NetworkError" || err?.message?.includes("device has been lost")) {
+                lost = true;
+            } else {
+                terminalWrite("\nSerial error.\n");
+            }
+        } finally {
+            if (terminalReader) {
+                try { terminalReader.releaseLock(); } catch { }
+                terminalReader = null;
             }
         }
-    } catch (err) {
-        console.warn("Terminal read error:", err);
-        // Device reset / USB lost
-        if (err?.message?.includes("device has been lost")) {
-            terminalWrite(
-                "\n=== Device reset/disconnection detected. ===\n" +
-                "=== Please close this window and reconnect.===\n", false
-            );
-            setTerminalStatus("error", "Device disconnected");
-            setTerminalDisconnectedUI();
-            disconnectTerminal(true);   // no await
-        } else {
-            terminalWrite("\nSerial error.\n");
-            setTerminalStatus("error", "Serial error");
+    }
+    if (lost) handleTerminalDeviceLost();   // no await: it waits for this loop
+}
+
+// ---------- AUTO-RECONNECT ----------
+
+// Native USB boards drop off the bus on every reset. Keep the modal and the
+// scrollback, and pick the device up again when it re-enumerates.
+async function handleTerminalDeviceLost() {
+    // Both the read loop and the disconnect event land here; the first one wins
+    const port = terminalPort;
+    if (terminalAwaitingDevice || !port) return;
+    terminalPort = null;
+    await closeTerminalPort(port);
+    terminalAwaitingDevice = true;
+    terminalWrite("\n=== Device disconnected, waiting for it to come back… ===\n", false);
+    setTerminalStatus("idle", "terminal.waiting");
+
+    // Quick reboots can be back before we got here
+    const ports = await navigator.serial.getPorts();
+    const back = ports.find(p => isTerminalDevice(p.getInfo()));
+    if (back) reconnectTerminal(back);
+}
+
+// Web Serial exposes VID/PID; serial numbers are compared only where the
+// browser reports them, so two identical boards cannot be told apart.
+function isTerminalDevice(info) {
+    const known = terminalDeviceInfo;
+    if (!known || known.usbVendorId === undefined) return false;
+    if (info.usbVendorId !== known.usbVendorId || info.usbProductId !== known.usbProductId) return false;
+    return !known.serialNumber || !info.serialNumber || info.serialNumber === known.serialNumber;
+}
+
+async function reconnectTerminal(port) {
+    if (terminalReconnecting) return;
+    terminalReconnecting = true;
+    try {
+        for (let attempt = 1; attempt <= 5; attempt++) {
+            await sleep(300);   // let the device finish enumerating
+            if (!terminalAwaitingDevice) return;    // modal closed meanwhile
+            try {
+                await openTerminalPort(port);
+                terminalWrite("=== Reconnected ===\n", false);
+                return;
+            } catch (err) {
+                console.warn(`Terminal reconnect attempt ${attempt} failed:`, err);
+            }
         }
+        // Still awaiting: the next connect event gets another try
+        setTerminalStatus("error", "terminal.reconnectFailed");
     } finally {
-        if (terminalReader) {
-            try { terminalReader.releaseLock(); } catch { }
-            terminalReader = null;
-        }
+        terminalReconnecting = false;
     }
 }
 
+navigator.serial?.addEventListener("connect", (e) => {
+    if (terminalAwaitingDevice && isTerminalDevice(e.target.getInfo())) {
+        reconnectTerminal(e.target);
+    }
+});
+
+navigator.serial?.addEventListener("disconnect", (e) => {
+    if (e.target === terminalPort) handleTerminalDeviceLost();
+});
+
 // ---------- DISCONNECT ----------
 
 async function disconnectTerminal(silent = false) {
-    terminalKeepReading = false;
+    terminalAwaitingDevice = false;
     try {
-        if (terminalReader) {
-            try { await terminalReader.cancel(); } catch { }
-            try { terminalReader.releaseLock(); } catch { }
-            terminalReader = null;
-        }
-        if (terminalPort) {
-            try { await terminalPort.close(); } catch { }
-            terminalPort = null;
-        }
+        await closeTerminalPort();
     } catch (err) {
         console.warn("Disconnect error:", err);
     }
     if (!silent) {
-        setTerminalStatus("idle", "Disconnected");
+        setTerminalStatus("idle", "terminal.disconnected");
         terminalWrite("\n=== Disconnected ===\n", false);
     }
 }
@@ -1247,8 +5140,8 @@ async function openTerminalModal(e) {
     if (!modal) return;
     cacheTerminalFooter();      // ensure saved
     restoreTerminalFooter();    // restore buttons
-    modal.classList.remove("hide");
-    modal.classList.add("show");
+    showModal(modal);
+    populateSymbolOptions();
     await connectTerminal();
 }
 
@@ -1256,15 +5149,12 @@ async function openTerminalModal(e) {
 
 async function closeTerminalModal() {
     const modal = document.getElementById("terminalModal");
-    const output = document.getElementById("terminalOutput");
     await disconnectTerminal();
-    if (output) output.textContent = "";
+    setTerminalPaused(false);
+    clearTerminalOutput();
+    clearTelemetry();
     if (!modal) return;
-    modal.classList.add("hide");
-    setTimeout(() => {
-        modal.classList.remove("show");
-        modal.classList.remove("hide");
-    }, 300);
+    hideModal(modal);
 }
 
 // ---------- BUTTONS ----------
@@ -1293,18 +5183,6 @@ document.addEventListener("keydown", (e) => {
     }
 });
 
-function setTerminalDisconnectedUI() {
-    const footer = document.querySelector(".terminal-footer");
-    if (!footer) return;
-    footer.innerHTML = `
-        <button id="terminalCloseBtn" class="primary">Close</button>`;
-    document.getElementById("terminalCloseBtn")
-        ?.addEventListener("click", (e) => {
-            e.preventDefault();
-            closeTerminalModal();
-        });
-}
-
 function showTerminalToast(message, duration = 2000) {
     const toast = document.getElementById("terminalToast");
     if (!toast) return;
@@ -1319,18 +5197,16 @@ function showTerminalToast(message, duration = 2000) {
 function initTerminalAutoscroll() {
     const saved = localStorage.getItem("terminalAutoscroll");
     terminalAutoscroll = saved !== "false";
+    const savedFormat = localStorage.getItem("terminalTimestamps");
+    if (TERMINAL_TIMESTAMP_FORMATS.includes(savedFormat)) terminalTimestampFormat = savedFormat;
 
     const el = document.getElementById("terminalOutput");
     if (el) {
         el.addEventListener("scroll", () => {
+            scheduleTerminalRender();
             const nearBottom =
                 el.scrollTop + el.clientHeight >= el.scrollHeight - 10;
-            if (!nearBottom) {
-                terminalAutoscroll = false;
-                const toggle = document.getElementById("terminalAutoscroll");
-                if (toggle) toggle.checked = false;
-                localStorage.setItem("terminalAutoscroll", "false");
-            }
+            if (!nearBottom && terminalAutoscroll) setTerminalAutoscroll(false);
         });
     }
 }
@@ -1347,6 +5223,7 @@ function restoreTerminalFooter() {
     const footer = document.querySelector(".terminal-footer");
     if (!footer || !terminalFooterOriginalHTML) return;
     footer.innerHTML = terminalFooterOriginalHTML;
+    applyTranslations(footer);
     // rebind events because we recreated DOM
     bindTerminalFooterEvents();
 }
@@ -1358,29 +5235,45 @@ function bindTerminalFooterEvents() {
     if (toggle) {
         toggle.checked = terminalAutoscroll;
         toggle.addEventListener("change", () => {
-            terminalAutoscroll = toggle.checked;
-            localStorage.setItem("terminalAutoscroll", terminalAutoscroll);
+            setTerminalAutoscroll(toggle.checked);
+            scheduleTerminalRender();
         });
     }
 
-    document.getElementById("terminalClear")
-        ?.addEventListener("click", () => {
-            const out = document.getElementById("terminalOutput");
-            if (out) out.textContent = "";
+    const timestamps = document.getElementById("terminalTimestamps");
+    if (timestamps) {
+        timestamps.value = terminalTimestampFormat;
+        timestamps.addEventListener("change", () => {
+            terminalTimestampFormat = timestamps.value;
+            localStorage.setItem("terminalTimestamps", terminalTimestampFormat);
+            scheduleTerminalRender();
+        });
+    }
+
+    // Copy / Download take either the whole scrollback or the filtered view
+    const exportScope = document.getElementById("terminalExport");
+    if (exportScope) {
+        exportScope.value = localStorage.getItem("terminalExport") === "view" ? "view" : "all";
+        exportScope.addEventListener("change", () => {
+            localStorage.setItem("terminalExport", exportScope.value);
         });
+    }
+
+    document.getElementById("terminalClear")
+        ?.addEventListener("click", clearTerminalOutput);
     document.getElementById("terminalCopy")
         ?.addEventListener("click", async () => {
-            const text = document.getElementById("terminalOutput")?.textContent || "";
+            const text = terminalPlainText(exportScope?.value);
             try {
                 await navigator.clipboard.writeText(text);
-                showTerminalToast("Log copied to clipboard");
+                showTerminalToast(t("terminal.copied"));
             } catch {
-                showTerminalToast("Copy failed");
+                showTerminalToast(t("terminal.copyFailed"));
             }
         });
     document.getElementById("terminalDownload")
         ?.addEventListener("click", () => {
-            const text = document.getElementById("terminalOutput")?.textContent || "";
+            const text = terminalPlainText(exportScope?.value);
             const blob = new Blob([text], { type: "text/plain" });
             const url = URL.createObjectURL(blob);
             const a = document.createElement("a");
@@ -1389,4 +5282,151 @@ function bindTerminalFooterEvents() {
             a.click();
             URL.revokeObjectURL(url);
         });
-}
\ No newline at end of file
+}
+
+// ---------- INPUT ----------
+
+function initTerminalInput() {
+    const form = document.getElementById("terminalInputForm");
+    const input = document.getElementById("terminalInput");
+    const lineEnding = document.getElementById("terminalLineEnding");
+    const hexMode = document.getElementById("terminalHexMode");
+    if (!form || !input || !lineEnding || !hexMode) return;
+
+    terminalHistory = loadTerminalHistory();
+
+    const savedEnding = localStorage.getItem("terminalLineEnding");
+    if (savedEnding in TERMINAL_LINE_ENDINGS) lineEnding.value = savedEnding;
+    hexMode.checked = localStorage.getItem("terminalHexMode") === "true";
+    applyTerminalHexMode();
+
+    lineEnding.addEventListener("change", () => {
+        localStorage.setItem("terminalLineEnding", lineEnding.value);
+    });
+    hexMode.addEventListener("change", () => {
+        localStorage.setItem("terminalHexMode", hexMode.checked);
+        applyTerminalHexMode();
+    });
+
+    form.addEventListener("submit", async (e) => {
+        e.preventDefault();
+        await sendTerminalInput();
+    });
+
+    input.addEventListener("keydown", (e) => {
+        if (e.key === "ArrowUp") {
+            e.preventDefault();
+            browseTerminalHistory(1);
+        } else if (e.key === "ArrowDown") {
+            e.preventDefault();
+            browseTerminalHistory(-1);
+        }
+    });
+
+    setTerminalInputEnabled(false);
+}
+
+function setTerminalInputEnabled(enabled) {
+    for (const id of ["terminalReset", "terminalBootloader"]) {
+        const button = document.getElementById(id);
+        if (button) button.disabled = !enabled;
+    }
+    const form = document.getElementById("terminalInputForm");
+    if (!form) return;
+    form.querySelectorAll("input, select, button").forEach(el => {
+        el.disabled = !enabled;
+    });
+    if (enabled) {
+        applyTerminalHexMode();
+        document.getElementById("terminalInput")?.focus();
+    }
+}
+
+// Hex mode sends exactly the bytes typed, so no line ending is added
+function applyTerminalHexMode() {
+    const hex = document.getElementById("terminalHexMode")?.checked;
+    const input = document.getElementById("terminalInput");
+    const lineEnding = document.getElementById("terminalLineEnding");
+    if (input) input.placeholder = t(hex ? "terminal.inputHex" : "terminal.inputText");
+    if (lineEnding && !input?.disabled) lineEnding.disabled = !!hex;
+}
+
+async function sendTerminalInput() {
+    const input = document.getElementById("terminalInput");
+    if (!input || !terminalPort?.writable) return;
+    const text = input.value;
+    const hex = document.getElementById("terminalHexMode")?.checked;
+
+    let bytes;
+    if (hex) {
+        bytes = parseHexBytes(text);
+        if (!bytes) {
+            showTerminalToast(t("terminal.invalidHex"));
+            return;
+        }
+    } else {
+        const ending = TERMINAL_LINE_ENDINGS[document.getElementById("terminalLineEnding")?.value] ?? "\n";
+        bytes = new TextEncoder().encode(text + ending);
+    }
+    if (!bytes.length) return;
+
+    // getWriter() throws while a reset or reattach holds the stream
+    let writer = null;
+    try {
+        writer = terminalPort.writable.getWriter();
+        await writer.write(bytes);
+    } catch (err) {
+        console.warn("Terminal write error:", err);
+        showTerminalToast(t("terminal.sendFailed"));
+        return;
+    } finally {
+        writer?.releaseLock();
+    }
+
+    pushTerminalHistory(text);
+    input.value = "";
+}
+
+// Accepts "0A 1b", "0x0a,0x1b" or "0a1b"; returns null on anything else
+function parseHexBytes(text) {
+    const cleaned = text.replace(/0x/gi, "").replace(/[\s,]+/g, " ").trim();
+    if (!cleaned) return new Uint8Array(0);
+    if (!cleaned.includes(" ") && cleaned.length % 2) return null;
+    const tokens = cleaned.includes(" ") ? cleaned.split(" ") : cleaned.match(/.{2}/g);
+    if (tokens.some(t => !/^[0-9a-f]{1,2}$/i.test(t))) return null;
+    return new Uint8Array(tokens.map(t => parseInt(t, 16)));
+}
+
+function loadTerminalHistory() {
+    try {
+        const saved = JSON.parse(localStorage.getItem("terminalHistory") || "[]");
+        return Array.isArray(saved) ? saved.filter(s => typeof s === "string").slice(-TERMINAL_HISTORY_LIMIT) : [];
+    } catch {
+        return [];
+    }
+}
+
+function pushTerminalHistory(command) {
+    terminalHistoryIndex = -1;
+    terminalDraft = "";
+    if (!command.trim() || terminalHistory[terminalHistory.length - 1] === command) return;
+    terminalHistory.push(command);
+    terminalHistory = terminalHistory.slice(-TERMINAL_HISTORY_LIMIT);
+    localStorage.setItem("terminalHistory", JSON.stringify(terminalHistory));
+}
+
+// step 1 = older, -1 = newer; walking past the newest entry restores the draft
+function browseTerminalHistory(step) {
+    const input = document.getElementById("terminalInput");
+    if (!input || !terminalHistory.length) return;
+    if (terminalHistoryIndex === -1) {
+        if (step < 0) return;
+        terminalDraft = input.value;
+    }
+    const next = Math.min(terminalHistoryIndex + step, terminalHistory.length - 1);
+    terminalHistoryIndex = Math.max(next, -1);
+    input.value = terminalHistoryIndex === -1
+        ? terminalDraft
+        : terminalHistory[terminalHistory.length - 1 - terminalHistoryIndex];
+    input.setSelectionRange(input.value.length, input.value.length);
+}
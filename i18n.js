@@ -0,0 +1,120 @@
+// ================================
+// Localisation
+// ================================
+// Installer strings live in one bundle per language under locales/. Markup
+// opts in with data-i18n (text), data-i18n-html (markup from the bundle) and
+// data-i18n-attr="aria-label:key; title:key"; script code calls t().
+// Missing keys fall back to English, then to the key itself.
+
+import en from "./locales/en.js";
+import ja from "./locales/ja.js";
+
+export const LANGUAGES = {
+    en: { name: "English", messages: en },
+    ja: { name: "日本語", messages: ja }
+};
+
+const FALLBACK = "en";
+const STORAGE_KEY = "language";
+
+let language = FALLBACK;
+const listeners = [];
+
+// Saved choice first, then the browser's preferred languages
+export function detectLanguage() {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (LANGUAGES[saved]) return saved;
+    for (const tag of navigator.languages || [navigator.language]) {
+        const base = String(tag).toLowerCase().split("-")[0];
+        if (LANGUAGES[base]) return base;
+    }
+    return FALLBACK;
+}
+
+export function getLanguage() {
+    return language;
+}
+
+// `save` is false for the detected language so a later browser setting wins
+export function setLanguage(code, save = true) {
+    if (!LANGUAGES[code]) code = FALLBACK;
+    language = code;
+    if (save) localStorage.setItem(STORAGE_KEY, code);
+    document.documentElement.lang = code;
+    applyTranslations(document);
+    listeners.forEach(fn => fn(code));
+}
+
+export function onLanguageChange(fn) {
+    listeners.push(fn);
+}
+
+function lookup(messages, key) {
+    return key.split(".").reduce((node, part) => node?.[part], messages);
+}
+
+// "Flashing {count} files" + { count: 2 }. Plural entries are objects keyed
+// by Intl.PluralRules category ({ one, other }) and pick on params.count;
+// lists come back as arrays with every item filled in.
+export function t(key, params = {}) {
+    let value = lookup(LANGUAGES[language].messages, key) ?? lookup(en, key);
+    if (value === undefined) return key;
+    if (value !== null && typeof value === "object" && !Array.isArray(value)) {
+        const category = new Intl.PluralRules(language).select(Number(params.count) || 0);
+        value = value[category] ?? value.other;
+    }
+    const fill = text => text.replace(/\{(\w+)\}/g, (match, name) =>
+        params[name] === undefined ? match : String(params[name]));
+    return Array.isArray(value) ? value.map(fill) : fill(value);
+}
+
+// ---------- Formatting ----------
+
+export function formatNumber(n, options = {}) {
+    return new Intl.NumberFormat(language, options).format(n);
+}
+
+// 0.42 → "42%"
+export function formatPercent(fraction) {
+    return formatNumber(fraction, { style: "percent", maximumFractionDigits: 0 });
+}
+
+export function formatDateTime(time) {
+    return new Intl.DateTimeFormat(language, { dateStyle: "medium", timeStyle: "short" }).format(new Date(time));
+}
+
+// Firmware versions are shown the same way everywhere: "v1.2.0"
+export function formatVersion(version) {
+    return t("format.version", { version });
+}
+
+// ---------- Markup ----------
+
+export function applyTranslations(root) {
+    root.querySelectorAll("[data-i18n]").forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    root.querySelectorAll("[data-i18n-html]").forEach(el => {
+        el.innerHTML = t(el.dataset.i18nHtml);
+    });
+    root.querySelectorAll("[data-i18n-attr]").forEach(el => {
+        for (const pair of el.dataset.i18nAttr.split(";")) {
+            const [attr, key] = pair.split(":").map(s => s.trim());
+            if (attr && key) el.setAttribute(attr, t(key));
+        }
+    });
+}
+
+// Fills a <select> with the available languages and switches on change
+export function initLanguagePicker(select) {
+    select.replaceChildren(...Object.entries(LANGUAGES).map(([code, { name }]) => {
+        const option = document.createElement("option");
+        option.value = code;
+        option.textContent = name;
+        option.lang = code;
+        return option;
+    }));
+    select.value = language;
+    select.addEventListener("change", () => setLanguage(select.value));
+    onLanguageChange(code => { select.value = code; });
+}
@@ -0,0 +1,177 @@
+// ================================
+// Improv Serial checks
+// ================================
+// Drives ImprovSerial against the scripted stand-in, no board needed:
+//   node improv-check.mjs
+// Exits non-zero when a check fails.
+
+import assert from "node:assert/strict";
+import {
+    IMPROV_PACKET,
+    IMPROV_STATE,
+    IMPROV_COMMAND,
+    IMPROV_ERROR,
+    ImprovPacketParser,
+    ImprovSerial,
+    encodePacket,
+    encodeRpc,
+    decodeRpc,
+    improvChecksum
+} from "./improv.js";
+import { ImprovMockPort, SCENARIOS } from "./improv-mock.js";
+
+// Same scripts, minus the waits that make them feel real in the browser
+const FAST = { bootDelay: 10, scanDelay: 10, connectDelay: 10 };
+
+const checks = [];
+const check = (name, fn) => checks.push({ name, fn });
+
+// Opens a mock port for the scenario and hands an initialised client to fn
+async function withDevice(scenario, fn, { timeout = 2000 } = {}) {
+    const port = new ImprovMockPort({ ...SCENARIOS[scenario], ...FAST });
+    await port.open();
+    const lines = [];
+    const improv = new ImprovSerial(port, { logger: line => lines.push(line) });
+    try {
+        await fn(improv, { port, lines, init: () => improv.initialize(timeout) });
+    } finally {
+        await improv.close();
+        await port.close();
+    }
+}
+
+async function rejectsWith(promise, code) {
+    await assert.rejects(promise, e => {
+        assert.equal(e.name, "ImprovError");
+        assert.equal(e.code, code);
+        return true;
+    });
+}
+
+// ---------- Framing ----------
+
+check("packets are framed with header, version, length, checksum and newline", () => {
+    const packet = encodePacket(IMPROV_PACKET.CURRENT_STATE, [IMPROV_STATE.READY]);
+    assert.deepEqual([...packet.subarray(0, 6)], [..."IMPROV"].map(c => c.charCodeAt(0)));
+    assert.deepEqual([...packet.subarray(6, 10)], [0x01, IMPROV_PACKET.CURRENT_STATE, 1, IMPROV_STATE.READY]);
+    assert.equal(packet[10], improvChecksum(packet.subarray(0, 10)));
+    assert.equal(packet[11], 0x0A);
+});
+
+check("RPCs carry length-prefixed strings and round-trip", () => {
+    const packet = encodeRpc(IMPROV_COMMAND.SEND_WIFI, ["Home", "pässword"]);
+    const [parsed] = new ImprovPacketParser().push(packet);
+    assert.equal(parsed.type, IMPROV_PACKET.RPC);
+    assert.deepEqual(decodeRpc(parsed.data), { command: IMPROV_COMMAND.SEND_WIFI, strings: ["Home", "pässword"] });
+    assert.throws(() => decodeRpc(new Uint8Array([IMPROV_COMMAND.SEND_WIFI, 5, 1])));
+});
+
+check("parser reassembles split packets and passes log text through", () => {
+    const text = [];
+    const parser = new ImprovPacketParser({ onText: t => text.push(t) });
+    const bytes = new Uint8Array([
+        ...new TextEncoder().encode("boot log IMPRO\r\n"),
+        ...encodePacket(IMPROV_PACKET.ERROR_STATE, [IMPROV_ERROR.NONE])
+    ]);
+    const packets = [];
+    for (let i = 0; i < bytes.length; i += 3) packets.push(...parser.push(bytes.subarray(i, i + 3)));
+    assert.deepEqual(packets.map(p => p.type), [IMPROV_PACKET.ERROR_STATE]);
+    assert.match(text.join(""), /boot log IMPRO/);
+});
+
+check("parser drops packets with a bad checksum", () => {
+    const invalid = [];
+    const parser = new ImprovPacketParser({ onInvalid: reason => invalid.push(reason) });
+    const bad = encodePacket(IMPROV_PACKET.CURRENT_STATE, [IMPROV_STATE.READY]);
+    bad[bad.length - 2] ^= 0xFF;
+    const good = encodePacket(IMPROV_PACKET.CURRENT_STATE, [IMPROV_STATE.PROVISIONED]);
+    const packets = parser.push(new Uint8Array([...bad, ...good]));
+    assert.deepEqual(packets.map(p => p.data[0]), [IMPROV_STATE.PROVISIONED]);
+    assert.deepEqual(invalid, ["checksum mismatch"]);
+});
+
+// ---------- RPCs against the stand-in ----------
+
+check("ready: state, info, scan and provisioning", () => withDevice("ready", async (improv, { init }) => {
+    const info = await init();
+    assert.equal(improv.state, IMPROV_STATE.READY);
+    assert.deepEqual(info, { firmware: "ESPTimeCast", version: "1.1.1", chipFamily: "ESP32", name: "esptimecast" });
+
+    // One entry per SSID, strongest first
+    const networks = await improv.scan();
+    assert.deepEqual(networks.map(n => [n.ssid, n.rssi, n.secured]), [
+        ["HomeNetwork", -48, true],
+        ["Guest", -63, false],
+        ["Neighbour-5G", -82, true]
+    ]);
+
+    assert.equal(await improv.provision("HomeNetwork", "password123"), "http://192.168.1.42");
+    assert.equal(improv.state, IMPROV_STATE.PROVISIONED);
+}));
+
+check("provisioned: the URL follows the state", () => withDevice("provisioned", async (improv, { init }) => {
+    await init();
+    assert.equal(improv.state, IMPROV_STATE.PROVISIONED);
+    assert.equal(improv.nextUrl, "http://192.168.1.42");
+}));
+
+check("wrong-password: rejects with unable to connect", () => withDevice("wrong-password", async (improv, { init }) => {
+    await init();
+    await rejectsWith(improv.provision("HomeNetwork", "nope"), IMPROV_ERROR.UNABLE_TO_CONNECT);
+}));
+
+check("no-scan: rejects with unknown RPC", () => withDevice("no-scan", async (improv, { init }) => {
+    await init();
+    await rejectsWith(improv.scan(), IMPROV_ERROR.UNKNOWN_RPC);
+}));
+
+check("no-url: provisioning succeeds without a URL", () => withDevice("no-url", async (improv, { init }) => {
+    await init();
+    assert.equal(await improv.provision("Guest", ""), null);
+}));
+
+check("malformed RPC: the device answers invalid RPC", () => withDevice("ready", async (improv, { init }) => {
+    await init();
+    const error = new Promise(resolve => improv.addEventListener("error-state", e => {
+        if (e.detail !== IMPROV_ERROR.NONE) resolve(e.detail);
+    }));
+    await improv._writer.write(encodePacket(IMPROV_PACKET.RPC, [IMPROV_COMMAND.SEND_WIFI, 9, 1]));
+    assert.equal(await error, IMPROV_ERROR.INVALID_RPC);
+}));
+
+check("bad-checksum: corrupt answers are dropped and retried", () => withDevice("bad-checksum", async (improv, { init, lines }) => {
+    await init();
+    assert.equal(improv.state, IMPROV_STATE.READY);
+    assert.ok(lines.some(l => l.includes("checksum mismatch")));
+}, { timeout: 5000 }));
+
+check("noisy: boot log goes to the logger", () => withDevice("noisy", async (improv, { init, lines }) => {
+    await init();
+    assert.equal(improv.state, IMPROV_STATE.READY);
+    // Arrives in 7-byte reads, so only the joined text is whole
+    assert.ok(lines.join("").includes("x".repeat(300)));
+}));
+
+check("silent: initialize times out", () => withDevice("silent", async (improv, { init }) => {
+    await rejectsWith(init(), "timeout");
+}, { timeout: 300 }));
+
+check("closing the port rejects a pending request", () => withDevice("ready", async (improv, { init, port }) => {
+    await init();
+    const pending = improv.provision("HomeNetwork", "password123");
+    await port.close();
+    await rejectsWith(pending, "closed");
+}));
+
+let failed = 0;
+for (const { name, fn } of checks) {
+    try {
+        await fn();
+        console.log(`✓ ${name}`);
+    } catch (e) {
+        failed++;
+        console.log(`✗ ${name}\n  ${e.stack || e}`);
+    }
+}
+console.log(`${checks.length - failed}/${checks.length} passed`);
+process.exitCode = failed ? 1 : 0;
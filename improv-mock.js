@@ -0,0 +1,200 @@
+// ================================
+// Improv Serial device stand-in
+// ================================
+// Behaves like a Web Serial port with ESPTimeCast on the other end, answering
+// Improv RPCs from a script. Test-only: `node improv-check.mjs` drives
+// improv.js against every scenario; the installer never loads this file.
+
+import {
+    IMPROV_PACKET,
+    IMPROV_STATE,
+    IMPROV_COMMAND,
+    IMPROV_ERROR,
+    ImprovPacketParser,
+    encodePacket,
+    encodeStrings,
+    decodeRpc
+} from "./improv.js";
+
+const DEFAULT_NETWORKS = [
+    { ssid: "HomeNetwork", rssi: -48, secured: true },
+    { ssid: "HomeNetwork", rssi: -71, secured: true },
+    { ssid: "Guest", rssi: -63, secured: false },
+    { ssid: "Neighbour-5G", rssi: -82, secured: true }
+];
+
+const BASE_SCENARIO = {
+    bootDelay: 800,
+    bootLog: "ets Jun  8 2016 00:22:57\r\nrst:0x1 (POWERON_RESET),boot:0x13 (SPI_FAST_FLASH_BOOT)\r\n" +
+        "[ESPTimeCast] Starting...\r\n",
+    state: IMPROV_STATE.READY,
+    info: ["ESPTimeCast", "1.1.1", "ESP32", "esptimecast"],
+    networks: DEFAULT_NETWORKS,
+    scanDelay: 1200,
+    credentials: { HomeNetwork: "password123", Guest: "" },
+    connectDelay: 2500,
+    url: "http://192.168.1.42",
+    supportsScan: true,
+    silent: false,
+    corruptPackets: 0
+};
+
+export const SCENARIOS = {
+    // Happy path: scan, pick HomeNetwork / password123, get a URL back
+    ready: {},
+    // Already on Wi-Fi: the installer should go straight to the URL
+    provisioned: { state: IMPROV_STATE.PROVISIONED },
+    // Every password is rejected with "unable to connect"
+    "wrong-password": { credentials: {} },
+    // Firmware without scan support answers "unknown RPC command"
+    "no-scan": { supportsScan: false },
+    // Connects but reports no URL
+    "no-url": { url: "" },
+    // The first packets go out with a bad checksum and must be dropped
+    "bad-checksum": { corruptPackets: 2 },
+    // Chatty boot log with packets split across reads
+    noisy: { bootLog: "x".repeat(300) + "\r\nIMPRO\r\nboot noise IMPROV without a packet\r\n" },
+    // Firmware without Improv: the installer should time out and carry on
+    silent: { silent: true }
+};
+
+export class ImprovMockPort {
+    constructor(scenario = {}) {
+        this.scenario = { ...BASE_SCENARIO, ...scenario };
+        this.readable = null;
+        this.writable = null;
+        this._timers = [];
+    }
+
+    getInfo() {
+        return { usbVendorId: 0x10C4, usbProductId: 0xEA60 };
+    }
+
+    async open() {
+        this._state = this.scenario.state;
+        this._corrupt = this.scenario.corruptPackets;
+        this._booted = false;
+        this._parser = new ImprovPacketParser({
+            onInvalid: () => this._sendError(IMPROV_ERROR.INVALID_RPC)
+        });
+        this.readable = new ReadableStream({
+            start: controller => { this._controller = controller; }
+        });
+        this.writable = new WritableStream({
+            write: chunk => this._receive(chunk)
+        });
+        this._later(this.scenario.bootDelay, () => {
+            this._emit(new TextEncoder().encode(this.scenario.bootLog));
+            this._booted = true;
+        });
+    }
+
+    async setSignals() { }
+
+    async close() {
+        this._timers.forEach(clearTimeout);
+        this._timers = [];
+        try { this._controller?.close(); } catch { }
+        this.readable = null;
+        this.writable = null;
+    }
+
+    _later(ms, fn) {
+        this._timers.push(setTimeout(fn, ms));
+    }
+
+    // Deliver in small pieces so the host has to reassemble packets
+    _emit(bytes) {
+        for (let i = 0; i < bytes.length; i += 7) {
+            try { this._controller.enqueue(bytes.slice(i, i + 7)); } catch { }
+        }
+    }
+
+    _send(type, data) {
+        const packet = encodePacket(type, data);
+        if (this._corrupt > 0) {
+            this._corrupt--;
+            packet[packet.length - 2] ^= 0xFF;
+        }
+        this._emit(packet);
+    }
+
+    _sendState(state) {
+        this._state = state;
+        this._send(IMPROV_PACKET.CURRENT_STATE, [state]);
+    }
+
+    _sendError(code) {
+        this._send(IMPROV_PACKET.ERROR_STATE, [code]);
+    }
+
+    _sendResult(command, strings) {
+        const data = encodeStrings(strings);
+        this._send(IMPROV_PACKET.RPC_RESULT, [command, data.length, ...data]);
+    }
+
+    _receive(chunk) {
+        // Bytes sent while the firmware is still booting are lost
+        if (!this._booted || this.scenario.silent) return;
+        for (const packet of this._parser.push(chunk)) {
+            if (packet.type !== IMPROV_PACKET.RPC) {
+                this._sendError(IMPROV_ERROR.INVALID_RPC);
+                continue;
+            }
+            let rpc;
+            try {
+                rpc = decodeRpc(packet.data);
+            } catch {
+                this._sendError(IMPROV_ERROR.INVALID_RPC);
+                continue;
+            }
+            this._sendError(IMPROV_ERROR.NONE);
+            this._handleRpc(rpc);
+        }
+    }
+
+    _handleRpc({ command, strings }) {
+        const s = this.scenario;
+        switch (command) {
+            case IMPROV_COMMAND.REQUEST_STATE:
+                this._sendState(this._state);
+                if (this._state === IMPROV_STATE.PROVISIONED) this._sendResult(command, [s.url]);
+                break;
+            case IMPROV_COMMAND.REQUEST_INFO:
+                this._sendResult(command, s.info);
+                break;
+            case IMPROV_COMMAND.REQUEST_SCAN:
+                if (!s.supportsScan) {
+                    this._sendError(IMPROV_ERROR.UNKNOWN_RPC);
+                    break;
+                }
+                this._later(s.scanDelay, () => {
+                    for (const n of s.networks) {
+                        this._sendResult(command, [n.ssid, String(n.rssi), n.secured ? "YES" : "NO"]);
+                    }
+                    this._sendResult(command, []);
+                });
+                break;
+            case IMPROV_COMMAND.SEND_WIFI: {
+                if (strings.length !== 2) {
+                    this._sendError(IMPROV_ERROR.INVALID_RPC);
+                    break;
+                }
+                const [ssid, password] = strings;
+                this._sendState(IMPROV_STATE.PROVISIONING);
+                this._later(s.connectDelay, () => {
+                    if (s.credentials[ssid] === password) {
+                        this._sendState(IMPROV_STATE.PROVISIONED);
+                        this._sendResult(command, s.url ? [s.url] : []);
+                    } else {
+                        this._sendError(IMPROV_ERROR.UNABLE_TO_CONNECT);
+                        this._sendState(IMPROV_STATE.READY);
+                    }
+                });
+                break;
+            }
+            default:
+                this._sendError(IMPROV_ERROR.UNKNOWN_RPC);
+        }
+    }
+}
@@ -0,0 +1,392 @@
+// ================================
+// Improv Wi-Fi over serial
+// https://www.improv-wifi.com/serial/
+// ================================
+
+export const IMPROV_HEADER = [0x49, 0x4D, 0x50, 0x52, 0x4F, 0x56]; // "IMPROV"
+export const IMPROV_VERSION = 0x01;
+
+export const IMPROV_PACKET = {
+    CURRENT_STATE: 0x01,
+    ERROR_STATE: 0x02,
+    RPC: 0x03,
+    RPC_RESULT: 0x04
+};
+
+export const IMPROV_STATE = {
+    READY: 0x02,
+    PROVISIONING: 0x03,
+    PROVISIONED: 0x04
+};
+
+export const IMPROV_COMMAND = {
+    SEND_WIFI: 0x01,
+    REQUEST_STATE: 0x02,
+    REQUEST_INFO: 0x03,
+    REQUEST_SCAN: 0x04
+};
+
+export const IMPROV_ERROR = {
+    NONE: 0x00,
+    INVALID_RPC: 0x01,
+    UNKNOWN_RPC: 0x02,
+    UNABLE_TO_CONNECT: 0x03,
+    UNKNOWN: 0xFF
+};
+
+const ERROR_MESSAGES = {
+    [IMPROV_ERROR.INVALID_RPC]: "Invalid RPC packet",
+    [IMPROV_ERROR.UNKNOWN_RPC]: "Unknown RPC command",
+    [IMPROV_ERROR.UNABLE_TO_CONNECT]: "Unable to connect",
+    [IMPROV_ERROR.UNKNOWN]: "Unknown error"
+};
+
+// Header, version, type, length
+const PACKET_PREFIX_SIZE = IMPROV_HEADER.length + 3;
+
+// code is an IMPROV_ERROR value, or "timeout" / "closed" / "aborted" for
+// failures on our side of the link.
+export class ImprovError extends Error {
+    constructor(code, message = ERROR_MESSAGES[code] || `Improv error 0x${code.toString(16)}`) {
+        super(message);
+        this.name = "ImprovError";
+        this.code = code;
+    }
+}
+
+export function improvChecksum(bytes) {
+    let sum = 0;
+    for (const b of bytes) sum += b;
+    return sum & 0xFF;
+}
+
+// Devices follow the checksum with a newline so the packet does not glue
+// onto the next log line.
+export function encodePacket(type, data = []) {
+    if (data.length > 0xFF) throw new Error("Improv packet data exceeds 255 bytes");
+    const packet = [...IMPROV_HEADER, IMPROV_VERSION, type, data.length, ...data];
+    packet.push(improvChecksum(packet), 0x0A);
+    return new Uint8Array(packet);
+}
+
+// Length-prefixed UTF-8 strings, as used by RPC commands and results
+export function encodeStrings(strings) {
+    const encoder = new TextEncoder();
+    const out = [];
+    for (const s of strings) {
+        const bytes = encoder.encode(s);
+        if (bytes.length > 0xFF) throw new Error(`"${s.slice(0, 16)}…" is too long`);
+        out.push(bytes.length, ...bytes);
+    }
+    return out;
+}
+
+export function decodeStrings(bytes) {
+    const decoder = new TextDecoder();
+    const strings = [];
+    let pos = 0;
+    while (pos < bytes.length) {
+        const length = bytes[pos];
+        if (pos + 1 + length > bytes.length) throw new Error("Truncated string in RPC data");
+        strings.push(decoder.decode(bytes.subarray(pos + 1, pos + 1 + length)));
+        pos += 1 + length;
+    }
+    return strings;
+}
+
+export function encodeRpc(command, strings = []) {
+    const data = encodeStrings(strings);
+    return encodePacket(IMPROV_PACKET.RPC, [command, data.length, ...data]);
+}
+
+// RPC data is [command, length, payload]; the length must match exactly
+export function decodeRpc(data) {
+    if (data.length < 2 || data[1] !== data.length - 2) {
+        throw new Error("RPC length does not match packet length");
+    }
+    return { command: data[0], strings: decodeStrings(data.subarray(2)) };
+}
+
+// Pulls Improv packets out of a serial byte stream. Everything that is not a
+// packet (boot messages, logs) goes to onText; packets that fail the checksum
+// are dropped and reported to onInvalid.
+export class ImprovPacketParser {
+    constructor({ onText = () => { }, onInvalid = () => { } } = {}) {
+        this.onText = onText;
+        this.onInvalid = onInvalid;
+        this._buffer = new Uint8Array(0);
+        this._decoder = new TextDecoder();
+    }
+
+    push(chunk) {
+        const merged = new Uint8Array(this._buffer.length + chunk.length);
+        merged.set(this._buffer);
+        merged.set(chunk, this._buffer.length);
+        let buf = merged;
+        const packets = [];
+
+        while (buf.length) {
+            const start = findHeader(buf);
+            if (start === -1) {
+                // Keep a possible partial header for the next chunk
+                const keep = partialHeaderLength(buf);
+                this._text(buf.subarray(0, buf.length - keep));
+                buf = buf.subarray(buf.length - keep);
+                break;
+            }
+            this._text(buf.subarray(0, start));
+            buf = buf.subarray(start);
+
+            if (buf.length < PACKET_PREFIX_SIZE) break;
+            if (buf[IMPROV_HEADER.length] !== IMPROV_VERSION) {
+                this.onInvalid(`unsupported version ${buf[IMPROV_HEADER.length]}`);
+                buf = buf.subarray(1);
+                continue;
+            }
+            const length = buf[PACKET_PREFIX_SIZE - 1];
+            const total = PACKET_PREFIX_SIZE + length + 1;
+            if (buf.length < total) break;
+
+            const body = buf.subarray(0, total - 1);
+            if (improvChecksum(body) !== buf[total - 1]) {
+                this.onInvalid("checksum mismatch");
+                buf = buf.subarray(1);
+                continue;
+            }
+            packets.push({
+                type: buf[IMPROV_HEADER.length + 1],
+                data: buf.slice(PACKET_PREFIX_SIZE, PACKET_PREFIX_SIZE + length)
+            });
+            buf = buf.subarray(total);
+        }
+
+        this._buffer = buf.slice();
+        return packets;
+    }
+
+    _text(bytes) {
+        if (!bytes.length) return;
+        const text = this._decoder.decode(bytes, { stream: true });
+        if (text.trim()) this.onText(text);
+    }
+}
+
+function findHeader(buf) {
+    outer: for (let i = 0; i + IMPROV_HEADER.length <= buf.length; i++) {
+        for (let j = 0; j < IMPROV_HEADER.length; j++) {
+            if (buf[i + j] !== IMPROV_HEADER[j]) continue outer;
+        }
+        return i;
+    }
+    return -1;
+}
+
+function partialHeaderLength(buf) {
+    for (let keep = Math.min(IMPROV_HEADER.length - 1, buf.length); keep > 0; keep--) {
+        const tail = buf.subarray(buf.length - keep);
+        if (tail.every((b, i) => b === IMPROV_HEADER[i])) return keep;
+    }
+    return 0;
+}
+
+// Client side of the protocol on an already opened port. Emits "state",
+// "error-state", "result" and "closed" events as packets arrive.
+export class ImprovSerial extends EventTarget {
+    constructor(port, { logger = () => { } } = {}) {
+        super();
+        this.port = port;
+        this.logger = logger;
+        this.state = null;
+        this.error = IMPROV_ERROR.NONE;
+        this.info = null;
+        this.nextUrl = null;
+        this._reader = null;
+        this._writer = null;
+        this._readLoop = null;
+        this._parser = new ImprovPacketParser({
+            onText: text => this.logger(text.trimEnd()),
+            onInvalid: reason => this.logger(`⚠️ Improv packet dropped: ${reason}`)
+        });
+    }
+
+    // The firmware may still be booting after the reset, so keep asking for
+    // the state until it answers or the deadline passes.
+    async initialize(timeout = 10000) {
+        this._reader = this.port.readable.getReader();
+        this._writer = this.port.writable.getWriter();
+        this._readLoop = this._readPackets();
+
+        const deadline = Date.now() + timeout;
+        for (; ;) {
+            try {
+                await this.requestCurrentState(Math.min(1500, Math.max(deadline - Date.now(), 1)));
+                break;
+            } catch (e) {
+                if (e.code !== "timeout") throw e;
+                if (Date.now() >= deadline) {
+                    throw new ImprovError("timeout", `No Improv response within ${Math.round(timeout / 1000)}s`);
+                }
+            }
+        }
+        try {
+            this.info = await this.requestInfo();
+        } catch (e) {
+            this.logger("Improv device info unavailable: " + e.message);
+        }
+        return this.info;
+    }
+
+    async requestCurrentState(timeout = 3000) {
+        // A provisioned device follows the state with its URL
+        const abortUrl = new AbortController();
+        const urlResult = this._waitFor("result", timeout + 2000,
+            r => r.command === IMPROV_COMMAND.REQUEST_STATE, abortUrl.signal);
+        urlResult.catch(() => { });
+
+        let state;
+        try {
+            state = await this._request(encodeRpc(IMPROV_COMMAND.REQUEST_STATE), "state", timeout);
+        } catch (e) {
+            abortUrl.abort();
+            throw e;
+        }
+        if (state !== IMPROV_STATE.PROVISIONED) {
+            abortUrl.abort();
+            return state;
+        }
+        try {
+            this.nextUrl = (await urlResult).strings[0] || null;
+        } catch {
+            this.nextUrl = null;
+        }
+        return state;
+    }
+
+    async requestInfo(timeout = 3000) {
+        const { strings } = await this._request(encodeRpc(IMPROV_COMMAND.REQUEST_INFO), "result", timeout,
+            r => r.command === IMPROV_COMMAND.REQUEST_INFO);
+        const [firmware, version, chipFamily, name] = strings;
+        return { firmware, version, chipFamily, name };
+    }
+
+    // Results arrive one network per packet and end with an empty result
+    async scan(timeout = 15000) {
+        const found = new Map();
+        await this._request(encodeRpc(IMPROV_COMMAND.REQUEST_SCAN), "result", timeout, r => {
+            if (r.command !== IMPROV_COMMAND.REQUEST_SCAN) return false;
+            if (!r.strings.length) return true;
+            const [ssid, rssi, auth] = r.strings;
+            const network = { ssid, rssi: Number(rssi), secured: auth === "YES" };
+            if (ssid && !(found.get(ssid)?.rssi >= network.rssi)) found.set(ssid, network);
+            return false;
+        });
+        return [...found.values()].sort((a, b) => b.rssi - a.rssi);
+    }
+
+    async provision(ssid, password, timeout = 30000) {
+        const { strings } = await this._request(encodeRpc(IMPROV_COMMAND.SEND_WIFI, [ssid, password]), "result",
+            timeout, r => r.command === IMPROV_COMMAND.SEND_WIFI);
+        this.nextUrl = strings[0] || null;
+        return this.nextUrl;
+    }
+
+    async close() {
+        try { await this._reader?.cancel(); } catch { }
+        try { await this._readLoop; } catch { }
+        try { this._reader?.releaseLock(); } catch { }
+        try { this._writer?.releaseLock(); } catch { }
+        this._reader = null;
+        this._writer = null;
+    }
+
+    async _request(packet, type, timeout, filter) {
+        const abort = new AbortController();
+        const response = this._waitFor(type, timeout, filter, abort.signal);
+        try {
+            await this._writer.write(packet);
+        } catch (e) {
+            abort.abort();
+            response.catch(() => { });
+            throw e;
+        }
+        return response;
+    }
+
+    // Resolves with the first event of the given type that passes filter.
+    // A non-zero error state from the device rejects instead.
+    _waitFor(type, timeout, filter = () => true, signal = null) {
+        return new Promise((resolve, reject) => {
+            const cleanup = () => {
+                clearTimeout(timer);
+                this.removeEventListener(type, onEvent);
+                this.removeEventListener("error-state", onError);
+                this.removeEventListener("closed", onClosed);
+                signal?.removeEventListener("abort", onAbort);
+            };
+            const onEvent = (e) => {
+                if (!filter(e.detail)) return;
+                cleanup();
+                resolve(e.detail);
+            };
+            const onError = (e) => {
+                if (e.detail === IMPROV_ERROR.NONE) return;
+                cleanup();
+                reject(new ImprovError(e.detail));
+            };
+            const onClosed = () => {
+                cleanup();
+                reject(new ImprovError("closed", "Serial connection closed"));
+            };
+            const onAbort = () => {
+                cleanup();
+                reject(new ImprovError("aborted", "Request aborted"));
+            };
+            const timer = setTimeout(() => {
+                cleanup();
+                reject(new ImprovError("timeout", `No Improv response within ${Math.round(timeout / 1000)}s`));
+            }, timeout);
+
+            this.addEventListener(type, onEvent);
+            this.addEventListener("error-state", onError);
+            this.addEventListener("closed", onClosed);
+            signal?.addEventListener("abort", onAbort);
+        });
+    }
+
+    async _readPackets() {
+        try {
+            for (; ;) {
+                const { value, done } = await this._reader.read();
+                if (done) break;
+                if (!value) continue;
+                for (const packet of this._parser.push(value)) this._handlePacket(packet);
+            }
+        } catch (e) {
+            this.logger("Improv read error: " + e.message);
+        } finally {
+            this.dispatchEvent(new CustomEvent("closed"));
+        }
+    }
+
+    _handlePacket({ type, data }) {
+        switch (type) {
+            case IMPROV_PACKET.CURRENT_STATE:
+                this.state = data[0];
+                this.dispatchEvent(new CustomEvent("state", { detail: data[0] }));
+                break;
+            case IMPROV_PACKET.ERROR_STATE:
+                this.error = data[0];
+                this.dispatchEvent(new CustomEvent("error-state", { detail: data[0] }));
+                break;
+            case IMPROV_PACKET.RPC_RESULT:
+                try {
+                    this.dispatchEvent(new CustomEvent("result", { detail: decodeRpc(data) }));
+                } catch (e) {
+                    this.logger("⚠️ Malformed Improv result: " + e.message);
+                }
+                break;
+            default:
+                this.logger(`Ignoring Improv packet type 0x${type.toString(16)}`);
+        }
+    }
+}
@@ -0,0 +1,96 @@
+// ================================
+// Install history (IndexedDB)
+// ================================
+// Every install session the installer runs is kept here, log included, so it
+// survives the tab and can be exported as a diagnostic bundle for a GitHub
+// issue. Only the newest HISTORY_LIMIT sessions are kept.
+
+const DB_NAME = "esptimecast";
+const DB_VERSION = 1;
+const STORE = "sessions";
+
+export const HISTORY_LIMIT = 100;
+
+let dbPromise = null;
+
+function openDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE, { keyPath: "id", autoIncrement: true });
+                store.createIndex("started", "started");
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).catch(err => {
+            dbPromise = null;
+            throw err;
+        });
+    }
+    return dbPromise;
+}
+
+// Runs `fn(store)` in one transaction and resolves with the result of the
+// request it returns (if any) once the transaction commits
+async function withStore(mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, mode);
+        const request = fn(tx.objectStore(STORE));
+        tx.oncomplete = () => resolve(request?.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+// Inserts or updates a session; returns its id
+export async function saveInstallSession(session) {
+    const id = await withStore("readwrite", store => store.put(session));
+    await pruneInstallHistory();
+    return id;
+}
+
+// Newest first
+export async function listInstallSessions() {
+    const sessions = await withStore("readonly", store => store.index("started").getAll());
+    return sessions.reverse();
+}
+
+export function getInstallSession(id) {
+    return withStore("readonly", store => store.get(id));
+}
+
+export function deleteInstallSession(id) {
+    return withStore("readwrite", store => store.delete(id));
+}
+
+export function clearInstallHistory() {
+    return withStore("readwrite", store => store.clear());
+}
+
+async function pruneInstallHistory() {
+    const keys = await withStore("readonly", store => store.index("started").getAllKeys());
+    const excess = keys.length - HISTORY_LIMIT;
+    if (excess <= 0) return;
+    await withStore("readwrite", store => {
+        for (const key of keys.slice(0, excess)) store.delete(key);
+    });
+}
+
+// One JSON document with everything a bug report needs. `environment` is
+// whatever the page knows about the browser and installer.
+export function diagnosticBundle(session, environment = {}) {
+    const { log = [], ...details } = session;
+    return {
+        format: "esptimecast-diagnostics/1",
+        exported: new Date().toISOString(),
+        environment,
+        session: {
+            ...details,
+            started: new Date(details.started).toISOString(),
+            ended: details.ended ? new Date(details.ended).toISOString() : null
+        },
+        log: log.map(line => `${new Date(line.time).toISOString()} ${line.text}`)
+    };
+}
@@ -0,0 +1,490 @@
+// English: the reference bundle. Every key the installer uses is here; other
+// languages may leave keys out and fall back to these.
+// Strings the page sets as HTML (data-i18n-html, the confirm, success and
+// unsupported messages, failure steps) may contain markup.
+
+export default {
+    format: {
+        version: "v{version}"
+    },
+
+    header: {
+        subtitle: "Web Installer"
+    },
+
+    hero: {
+        subtitle: "Time &amp; weather,<br />beautifully displayed.",
+        start: "Start"
+    },
+
+    detecting: {
+        title: "Detecting board..."
+    },
+
+    confirm: {
+        chipDetected: "<strong>{chip}</strong> detected",
+        deviceDetails: "Device details",
+        deviceUnavailable: "Could not read the device details.",
+        copyDetails: "Copy details",
+        copied: "Copied",
+        copyFailed: "Copy failed",
+        firmware: "Firmware",
+        latest: "latest",
+        notOffline: "not available offline",
+        whatsNew: "What's new in {version}",
+        partitionTable: "Partition table",
+        partitionsEmpty: "Could not read the partition table.",
+        partitionLabel: "Label",
+        partitionType: "Type",
+        partitionSubtype: "Subtype",
+        partitionOffset: "Offset",
+        partitionSize: "Size",
+        cancel: "Cancel",
+        install: "Install firmware",
+
+        restoring: "Restoring <strong>{name}</strong><br>The entire flash will be overwritten with this backup.",
+        localFiles: {
+            one: "Flashing <strong>{count} local file</strong>",
+            other: "Flashing <strong>{count} local files</strong>"
+        },
+        localKeep: "Only the selected regions will be overwritten.",
+        localErase: "The whole flash will be erased first.",
+        updating: "Updating to <strong>{version}</strong><br>Your settings and Wi-Fi configuration will be preserved.",
+        installing: "Installing <strong>{version}</strong> will erase all settings and data.<br>This action cannot be undone.",
+        backupNote: "<br>A full flash backup will be downloaded first.",
+        layoutBlocked: "<span class=\"warning-text\">⚠️ Keep Data is not possible on this board: its partition layout does not match {version}.</span><br>Enable <b>Erase All Data</b> in settings to install.",
+        layoutUnknown: "<span class=\"warning-text\">⚠️ Keep Data is not possible with {version}: it does not publish its partition layout, so the data partitions on this board cannot be checked.</span><br>Enable <b>Erase All Data</b> in settings to install.",
+        rollback: "⚠️ Rolling back: {version} is older than {baseline}.",
+        rollbackKeepData: "Settings saved by a newer version may not carry over.",
+        unverified: "⚠️ The board's flash size, chip revision or PSRAM could not be read, so this firmware's hardware requirements were not checked.",
+
+        installedEsptimecast: "Installed: ESPTimeCast <strong>{installed}</strong> → Installing <strong>{version}</strong>",
+        reinstalling: "Installed: ESPTimeCast <strong>{installed}</strong> → Reinstalling <strong>{version}</strong>",
+        noFirmware: "No firmware installed",
+        otherFirmware: "Other firmware detected",
+        otherFirmwareKeepData: "Other firmware detected · a factory install (<b>Erase All Data</b>) is recommended"
+    },
+
+    device: {
+        chip: "Chip",
+        revision: "Revision",
+        mac: "MAC",
+        flash: "Flash",
+        crystal: "Crystal",
+        crystalValue: "{mhz} MHz",
+        psram: "PSRAM",
+        noPsram: "None embedded",
+        features: "Features",
+        usb: "USB"
+    },
+
+    requirements: {
+        flash: "Needs {needed} of flash, this board has {have}.",
+        minRevision: "Needs chip revision {revision} or newer, this chip is {have}.",
+        maxRevision: "Supports chip revisions up to {revision}, this chip is {have}.",
+        psram: "Needs PSRAM, which {chip} boards don't have.",
+        localFit: "{name} ({size} at {offset}) does not fit in the {flash} flash."
+    },
+
+    flashing: {
+        preparing: "Preparing...",
+        reconnecting: "Reconnecting...",
+        readingPartitions: "Reading partition table…",
+        backingUp: "Backing up flash…",
+        comparing: "Comparing...",
+        erasing: "Erasing flash…",
+        writing: "Writing firmware…",
+        verifying: "Verifying...",
+        finalizing: "Finalizing...",
+        waiting: "Waiting for device...",
+        keepConnected: "This may take a few minutes.<br />Keep your device connected.",
+        retry: "Retry {attempt} of {total} at {baudrate} baud",
+        resuming: "{note}, resuming after {size}",
+        skipped: "{skipped} of {total} unchanged, skipped"
+    },
+
+    provision: {
+        title: "Connect to Wi-Fi",
+        sendTo: "Send Wi-Fi credentials to {name}.",
+        sendToDevice: "Send Wi-Fi credentials to your device.",
+        network: "Network",
+        password: "Password",
+        scanAgain: "Scan again",
+        scanning: "Scanning…",
+        skip: "Skip",
+        connect: "Connect",
+        connecting: "Connecting…",
+        unableToConnect: "Could not join \"{ssid}\". Check the password and try again.",
+        timeout: "The device did not confirm the connection in time."
+    },
+
+    success: {
+        title: "You're all set!",
+        pressReset: "Press <b>RESET</b> or reconnect to start <b>ESPTimeCast</b>.",
+        runningOnWifi: "<b>ESPTimeCast</b> is now running and connected to Wi-Fi.",
+        running: "<b>ESPTimeCast</b> is now running.",
+        openToFinish: "Open {link} to finish setup.",
+        reflash: "Flash another board"
+    },
+
+    failure: {
+        showDetails: "Show details",
+        close: "Close",
+        retry: "Try again",
+        sync: {
+            title: "ESP board not responding",
+            summary: "The board did not answer the bootloader handshake.",
+            steps: [
+                "Close any <b>serial monitor</b> (Arduino IDE, PlatformIO, another tab) using the port.",
+                "Hold <b>BOOT</b>, press and release <b>RESET</b> (or plug the board in while holding <b>BOOT</b>), then release <b>BOOT</b>.",
+                "Try a different USB cable; some only carry power."
+            ]
+        },
+        "port-busy": {
+            title: "Serial port is in use",
+            summary: "Another program or tab has the port open.",
+            steps: [
+                "Close serial monitors, other installer tabs and the terminal.",
+                "Unplug the board, plug it back in and try again."
+            ]
+        },
+        permission: {
+            title: "No access to the serial port",
+            summary: "The browser or the operating system refused to open the port.",
+            steps: [
+                "Allow serial ports for this site in the browser's site settings.",
+                "On Linux, add your user to the <b>dialout</b> (or <b>uucp</b>) group and log in again.",
+                "On Windows, install the driver for the board's USB chip (CP210x or CH340)."
+            ]
+        },
+        fetch: {
+            title: "Firmware download failed",
+            summary: "The firmware files could not be downloaded. Nothing was written to your board.",
+            steps: [
+                "Check the internet connection and try again.",
+                "For benches without internet, keep a version offline under <b>Settings → Offline use</b>."
+            ]
+        },
+        checksum: {
+            title: "Firmware download corrupted",
+            summary: "The downloaded firmware does not match its published checksum. Nothing was written to your board.",
+            steps: [
+                "Try again; the download is fetched fresh.",
+                "If this version is kept offline, remove it under <b>Settings → Offline use</b> and keep it again."
+            ]
+        },
+        "write-timeout": {
+            title: "Flashing timed out",
+            summary: "The board stopped answering while firmware was being written, even at lower speeds.",
+            steps: [
+                "Use a short, data-capable USB cable, plugged straight into the computer rather than a hub.",
+                "Pick a lower <b>Flash baud rate</b> under <b>Settings → Advanced → Connection settings</b>.",
+                "Boards with displays attached may need a powered USB port."
+            ]
+        },
+        md5: {
+            title: "Verification failed",
+            summary: "The data on the board does not match the firmware image.",
+            steps: [
+                "Try again, ideally with a different USB cable.",
+                "Pick a lower <b>Flash baud rate</b> under <b>Settings → Advanced → Connection settings</b>.",
+                "If it keeps failing at the same address, the flash chip may be worn out."
+            ]
+        },
+        disconnected: {
+            title: "Device disconnected",
+            summary: "The ESP device connection was lost.",
+            steps: [
+                "Reconnect the board and try again.",
+                "Loose connectors and USB hubs cause most drops; plug straight into the computer."
+            ]
+        },
+        "flash-size": {
+            title: "Firmware doesn't fit",
+            summary: "This board has less flash memory than the firmware needs.",
+            steps: [
+                "Choose a board with at least 4 MB of flash.",
+                "For your own builds, check the offsets and file sizes in <b>Flash local files</b>."
+            ]
+        },
+        backup: {
+            title: "Backup doesn't match",
+            summary: "This file can't be restored onto this board.",
+            steps: [
+                "Pick a backup taken from this board; its size must match the board's flash.",
+                "Backups are the <b>esptimecast-backup-….bin</b> files from <b>Backup Before Erase</b>."
+            ]
+        },
+        layout: {
+            title: "Keep Data not possible",
+            summary: "This board's partition layout could not be matched with what the update expects. Nothing was written.",
+            steps: [
+                "Turn on <b>Erase All Data</b> in settings, then try again. Wi-Fi and saved settings will be lost.",
+                "To keep your settings, note them down from the device's web page before installing."
+            ]
+        },
+        manifest: {
+            title: "Firmware list unavailable",
+            summary: "The firmware manifest could not be loaded or is invalid.",
+            steps: [
+                "Check your internet connection, then try again.",
+                "If it keeps failing, report it on GitHub with the details below."
+            ]
+        },
+        unknown: {
+            title: "Something went wrong",
+            summary: "The installer ran into an error it doesn't recognise.",
+            steps: [
+                "Make sure no <b>serial monitor</b> is open.",
+                "Reconnect the board while holding <b>BOOT</b>, then try again.",
+                "If it keeps happening, export the session under <b>Settings → Install history</b> and open a GitHub issue."
+            ]
+        }
+    },
+
+    unsupported: {
+        chip: "Unsupported <strong>{chip}</strong> board detected",
+        message: "No compatible firmware is available yet.<br />Check the GitHub repo for manual installation options.",
+        cancel: "Cancel",
+        github: "GitHub repo",
+        browser: "⚠️ Desktop Chrome, Edge or Brave required",
+        manualGuide: "View Manual Installation Guide"
+    },
+
+    incompatible: {
+        title: "Incompatible hardware",
+        release: "ESPTimeCast {version} can't run on this {chip} board",
+        localFiles: "These files don't fit this {chip} board",
+        nothingWritten: "Nothing was written to the board.",
+        close: "Close",
+        github: "GitHub repo"
+    },
+
+    unknown: {
+        title: "Unsupported device detected",
+        message: "Device connected, but not supported.<br />Select an <b>ESP8266</b> or <b>ESP32</b> board and try again.",
+        close: "Close"
+    },
+
+    // Screen reader announcements
+    a11y: {
+        chipDetected: "{chip} board detected",
+        unknownChip: "Board not recognised",
+        progress: "Flashing progress",
+        progressValue: "{percent} written"
+    },
+
+    stepper: {
+        label: "Installation steps",
+        connect: "Connect",
+        confirm: "Confirm",
+        complete: "Complete"
+    },
+
+    hints: {
+        boot: "Hold <b>BOOT</b> while plugging in your ESP board.<br />Release, then press Start.",
+        confirm: "Confirm the firmware and start installation."
+    },
+
+    footer: {
+        github: "ESPTimeCast on GitHub - firmware, wiring diagrams and documentation",
+        reddit: "Join the ESPTimeCast community on Reddit",
+        support: "Support the ESPTimeCast project",
+        case: "Get the official 3D printable case for ESPTimeCast",
+        instagram: "Follow M-Factory on Instagram",
+        terminal: "ESPTimeCast device terminal and logs",
+        settings: "ESPTimeCast web installer settings",
+        language: "Language"
+    },
+
+    settings: {
+        title: "Installer Settings",
+        intro: "By default, installation erases all data, including Wi-Fi and saved settings.<br /><br />" +
+            "For new installs, this is recommended.<br /><br />" +
+            "Disable the option below only if you want to preserve your current configuration.<br /><br />" +
+            "Backup Before Erase downloads a copy of the whole flash before a factory install; use Restore backup to write it back.<br /><br />" +
+            "Enable beta releases to also offer pre-release firmware in the version list.",
+        eraseAll: "Erase All Data",
+        backupBeforeErase: "Backup Before Erase",
+        beta: "Beta Releases",
+        close: "Close",
+        advanced: "Advanced: flash local files…",
+        restore: "Restore backup…",
+        history: "Install history…"
+    },
+
+    offline: {
+        title: "Offline use:",
+        checking: "checking…",
+        intro: "Versions kept offline are stored in this browser, so installs work without internet.",
+        unsupported: "not supported in this browser",
+        ready: "installer cached",
+        reload: "reload once to finish setting up",
+        cached: "cached, {size}",
+        partial: "{cached} of {total} files cached",
+        notCached: "not cached",
+        keep: "Keep offline",
+        remove: "Remove",
+        downloading: "Downloading…",
+        removing: "Removing…",
+        storage: "Using {usage} of {quota} available to this site"
+    },
+
+    history: {
+        title: "Install History",
+        intro: "Installs from this browser, newest first. Export a session to attach it to a GitHub issue.",
+        empty: "No installs recorded yet.",
+        clear: "Clear history",
+        close: "Close",
+        inProgress: "In progress",
+        success: "Installed",
+        running: "Interrupted",
+        mode: "Mode",
+        mac: "MAC",
+        usb: "USB",
+        parts: "Parts",
+        baud: "Baud",
+        retries: "Retries",
+        duration: "Duration",
+        seconds: "{count}s",
+        error: "Error",
+        earlierLines: {
+            one: "… {count} earlier line in the export",
+            other: "… {count} earlier lines in the export"
+        },
+        export: "Export diagnostic bundle",
+        delete: "Delete"
+    },
+
+    advanced: {
+        title: "Flash Local Files",
+        intro: "Flash your own builds at custom offsets. The <b>Erase All Data</b> setting still applies.",
+        dropzone: "Drop .bin files here or",
+        browse: "browse",
+        offsetFor: "Flash offset for {name}",
+        remove: "Remove {name}",
+        connection: "Connection settings",
+        connectionIntro: "Overrides the per-chip defaults for every install, including regular ones. Only needed for USB bridges that misbehave.",
+        baudrate: "Flash baud rate",
+        connectMode: "Reset before connecting",
+        resetAfter: "Reset after flashing",
+        chipDefault: "Chip default",
+        modeClassic: "DTR/RTS (classic)",
+        modeUsb: "USB-JTAG",
+        modeNone: "None, hold BOOT",
+        resetToggle: "Toggle DTR",
+        resetManual: "No, press RESET",
+        close: "Close",
+        flash: "Flash files",
+
+        noFiles: "Add at least one .bin file.",
+        badOffset: "{name}: offset \"{offset}\" is not a number.",
+        unaligned: "{name}: offset {offset} is not aligned to 4 KB.",
+        empty: "{name}: file is empty.",
+        noMagic: "{name}: no ESP image magic byte (0xE9), but {offset} must hold a bootable image.",
+        rawData: "{name}: not an ESP image, will be written as raw data.",
+        overlap: "{first} and {second} overlap at {offset}."
+    },
+
+    // Keep Data check of the board's partition table
+    layout: {
+        noTable: "No valid partition table was found on the board.",
+        noApp: "The board's partition table has no factory or ota_0 app partition.",
+        appTooBig: "The firmware ({size}) is larger than the \"{label}\" partition ({partitionSize}).",
+        missing: "Missing data partition \"{label}\" ({subtype}).",
+        moved: "\"{label}\" is at {offset} ({size}), expected {expectedOffset} ({expectedSize}).",
+        notPublished: "The update does not publish its partition layout, so the data partitions on this board cannot be checked."
+    },
+
+    errors: {
+        fetchFailed: "Failed to fetch firmware {path}: {status}",
+        downloadCorrupted: "Downloaded {path} is corrupted",
+        flashMismatch: "Flash contents at {offset} do not match {path}",
+        doesNotFit: "{path} ({size} at {offset}) does not fit in the {flash} flash",
+        backupNoFlashSize: "Cannot back up: flash size could not be detected",
+        backupMismatch: "Backup is {size} but this board has {flash} of flash; it was taken from a different board",
+        notBackup: "{name} is not a flash backup (size must be a multiple of 4 KB)."
+    },
+
+    terminal: {
+        label: "Device terminal",
+        connecting: "Connecting…",
+        connectFailed: "Connection failed",
+        connected: "Connected to ESP Board @{baud}",
+        switching: "Switching to {baud}…",
+        reopenFailed: "Could not reopen port",
+        waiting: "Waiting for device…",
+        reconnectFailed: "Reconnect failed, replug the board",
+        disconnected: "Disconnected",
+        reset: "Reset",
+        resetTitle: "Pulse EN to restart the board",
+        bootloader: "Bootloader",
+        bootloaderTitle: "Restart into the ROM download mode",
+        markerBootloader: "Reset into bootloader",
+        resetFailed: "Reset failed: {error}",
+        symbolsTitle: "Symbols used to decode crash backtraces",
+        symbolsAuto: "Symbols: auto",
+        symbolsLoad: "Load ELF / symbol file…",
+        symbolsRejected: "Not a usable ELF or symbol file",
+        symbolsLoaded: "Symbols loaded from {name}",
+        noSymbolFile: "{label}, no symbol file published",
+        baudTitle: "Baud rate",
+        close: "Close terminal",
+        search: "Search…",
+        searchPrev: "Previous match (Shift+Enter)",
+        searchNext: "Next match (Enter)",
+        noMatches: "No matches",
+        filter: "Filter (regex)…",
+        filterTitle: "Regular expression, case-insensitive",
+        filterMode: "Filter mode",
+        filterInclude: "Show matching",
+        filterExclude: "Hide matching",
+        pause: "Pause",
+        pauseTitle: "Keep receiving without updating the view",
+        resume: "Resume",
+        resumeNew: "Resume ({count} new)",
+        json: "JSON",
+        jsonTitle: "JSON inspector and charts",
+        inputText: "Send a command…",
+        inputHex: "Hex bytes, e.g. 49 4D 50 52 4F 56",
+        lineEnding: "Line ending",
+        lineNone: "No line ending",
+        hex: "HEX",
+        hexTitle: "Send raw bytes written as hex",
+        send: "Send",
+        invalidHex: "Invalid hex input",
+        sendFailed: "Send failed",
+        autoscroll: "Autoscroll",
+        timestamps: "Timestamps",
+        timeClock: "Clock time",
+        timeElapsed: "Since connect",
+        timeOff: "No timestamps",
+        exportTitle: "What Copy and Download include",
+        exportAll: "Export all lines",
+        exportView: "Export filtered view",
+        clear: "Clear",
+        copy: "Copy",
+        download: "Download",
+        copied: "Log copied to clipboard",
+        copyFailed: "Copy failed"
+    },
+
+    inspector: {
+        count: {
+            one: "{count} object",
+            other: "{count} objects"
+        },
+        csvTitle: "Download as CSV",
+        ndjsonTitle: "Download as NDJSON",
+        clear: "Clear",
+        hint: "Click a number in the tree to chart it.",
+        fields: "Chart fields",
+        noFields: "No numeric fields yet",
+        noJson: "No JSON seen yet",
+        nothingToExport: "No JSON collected yet",
+        selected: "Selected · {time}",
+        latest: "Latest · {time}",
+        chart: "Chart {path}",
+        removeChart: "Remove chart"
+    }
+};
@@ -0,0 +1,471 @@
+// Japanese. Keys missing here fall back to locales/en.js.
+// Japanese has a single plural form, so plural entries only need "other".
+
+export default {
+    header: {
+        subtitle: "Web インストーラー"
+    },
+
+    hero: {
+        subtitle: "時刻と天気を、<br />美しく表示。",
+        start: "開始"
+    },
+
+    detecting: {
+        title: "ボードを検出しています..."
+    },
+
+    confirm: {
+        chipDetected: "<strong>{chip}</strong> を検出しました",
+        deviceDetails: "デバイスの詳細",
+        deviceUnavailable: "デバイス情報を読み取れませんでした。",
+        copyDetails: "詳細をコピー",
+        copied: "コピーしました",
+        copyFailed: "コピーできませんでした",
+        firmware: "ファームウェア",
+        latest: "最新",
+        notOffline: "オフラインでは利用不可",
+        whatsNew: "{version} の新機能",
+        partitionTable: "パーティションテーブル",
+        partitionsEmpty: "パーティションテーブルを読み取れませんでした。",
+        partitionLabel: "ラベル",
+        partitionType: "タイプ",
+        partitionSubtype: "サブタイプ",
+        partitionOffset: "オフセット",
+        partitionSize: "サイズ",
+        cancel: "キャンセル",
+        install: "ファームウェアをインストール",
+
+        restoring: "<strong>{name}</strong> を復元します<br>フラッシュ全体がこのバックアップで上書きされます。",
+        localFiles: {
+            other: "<strong>ローカルファイル {count} 個</strong>を書き込みます"
+        },
+        localKeep: "選択した領域だけが上書きされます。",
+        localErase: "最初にフラッシュ全体を消去します。",
+        updating: "<strong>{version}</strong> にアップデートします<br>設定と Wi-Fi 構成は保持されます。",
+        installing: "<strong>{version}</strong> をインストールすると、すべての設定とデータが消去されます。<br>この操作は元に戻せません。",
+        backupNote: "<br>最初にフラッシュ全体のバックアップをダウンロードします。",
+        layoutBlocked: "<span class=\"warning-text\">⚠️ このボードではデータを保持できません: パーティション構成が {version} と一致しません。</span><br>設定で <b>すべてのデータを消去</b> を有効にしてからインストールしてください。",
+        layoutUnknown: "<span class=\"warning-text\">⚠️ {version} ではデータを保持できません: パーティション構成が公開されていないため、このボードのデータパーティションを確認できません。</span><br>設定で <b>すべてのデータを消去</b> を有効にしてからインストールしてください。",
+        rollback: "⚠️ ロールバック: {version} は {baseline} より古いバージョンです。",
+        rollbackKeepData: "新しいバージョンで保存された設定は引き継がれない場合があります。",
+        unverified: "⚠️ ボードのフラッシュサイズ・チップリビジョン・PSRAM を読み取れなかったため、このファームウェアのハードウェア要件は確認されていません。",
+
+        installedEsptimecast: "インストール済み: ESPTimeCast <strong>{installed}</strong> → <strong>{version}</strong> をインストール",
+        reinstalling: "インストール済み: ESPTimeCast <strong>{installed}</strong> → <strong>{version}</strong> を再インストール",
+        noFirmware: "ファームウェアはインストールされていません",
+        otherFirmware: "別のファームウェアが見つかりました",
+        otherFirmwareKeepData: "別のファームウェアが見つかりました · 工場出荷状態でのインストール（<b>すべてのデータを消去</b>）をおすすめします"
+    },
+
+    device: {
+        chip: "チップ",
+        revision: "リビジョン",
+        flash: "フラッシュ",
+        crystal: "水晶",
+        noPsram: "内蔵なし",
+        features: "機能"
+    },
+
+    requirements: {
+        flash: "{needed} のフラッシュが必要ですが、このボードは {have} です。",
+        minRevision: "チップリビジョン {revision} 以降が必要ですが、このチップは {have} です。",
+        maxRevision: "対応するチップリビジョンは {revision} までですが、このチップは {have} です。",
+        psram: "PSRAM が必要ですが、{chip} ボードには搭載されていません。",
+        localFit: "{name}（{size}、{offset}）は {flash} のフラッシュに収まりません。"
+    },
+
+    flashing: {
+        preparing: "準備しています...",
+        reconnecting: "再接続しています...",
+        readingPartitions: "パーティションテーブルを読み取っています…",
+        backingUp: "フラッシュをバックアップしています…",
+        comparing: "比較しています...",
+        erasing: "フラッシュを消去しています…",
+        writing: "ファームウェアを書き込んでいます…",
+        verifying: "検証しています...",
+        finalizing: "仕上げています...",
+        waiting: "デバイスを待っています...",
+        keepConnected: "数分かかる場合があります。<br />デバイスを接続したままにしてください。",
+        retry: "再試行 {attempt}/{total}（{baudrate} baud）",
+        resuming: "{note}、{size} 以降から再開",
+        skipped: "{total} のうち {skipped} は変更なしのためスキップ"
+    },
+
+    provision: {
+        title: "Wi-Fi に接続",
+        sendTo: "{name} に Wi-Fi の認証情報を送信します。",
+        sendToDevice: "デバイスに Wi-Fi の認証情報を送信します。",
+        network: "ネットワーク",
+        password: "パスワード",
+        scanAgain: "再スキャン",
+        scanning: "スキャンしています…",
+        skip: "スキップ",
+        connect: "接続",
+        connecting: "接続しています…",
+        unableToConnect: "「{ssid}」に接続できませんでした。パスワードを確認して、もう一度お試しください。",
+        timeout: "デバイスが時間内に接続を確認しませんでした。"
+    },
+
+    success: {
+        title: "準備が整いました！",
+        pressReset: "<b>RESET</b> を押すか接続し直すと <b>ESPTimeCast</b> が起動します。",
+        runningOnWifi: "<b>ESPTimeCast</b> が起動し、Wi-Fi に接続しました。",
+        running: "<b>ESPTimeCast</b> が起動しました。",
+        openToFinish: "{link} を開いてセットアップを完了してください。",
+        reflash: "別のボードに書き込む"
+    },
+
+    failure: {
+        showDetails: "詳細を表示",
+        close: "閉じる",
+        retry: "再試行",
+        sync: {
+            title: "ESP ボードが応答しません",
+            summary: "ボードがブートローダーのハンドシェイクに応答しませんでした。",
+            steps: [
+                "ポートを使用している<b>シリアルモニター</b>（Arduino IDE、PlatformIO、別のタブ）を閉じてください。",
+                "<b>BOOT</b> を押したまま <b>RESET</b> を押して離し（または <b>BOOT</b> を押したままボードを接続し）、<b>BOOT</b> を離してください。",
+                "別の USB ケーブルをお試しください。給電専用のケーブルもあります。"
+            ]
+        },
+        "port-busy": {
+            title: "シリアルポートが使用中です",
+            summary: "別のプログラムまたはタブがポートを開いています。",
+            steps: [
+                "シリアルモニター、他のインストーラーのタブ、ターミナルを閉じてください。",
+                "ボードを抜き差ししてから、もう一度お試しください。"
+            ]
+        },
+        permission: {
+            title: "シリアルポートにアクセスできません",
+            summary: "ブラウザーまたは OS がポートを開くことを拒否しました。",
+            steps: [
+                "ブラウザーのサイト設定で、このサイトのシリアルポートを許可してください。",
+                "Linux では、ユーザーを <b>dialout</b>（または <b>uucp</b>）グループに追加して、ログインし直してください。",
+                "Windows では、ボードの USB チップ（CP210x または CH340）のドライバーをインストールしてください。"
+            ]
+        },
+        fetch: {
+            title: "ファームウェアをダウンロードできませんでした",
+            summary: "ファームウェアファイルをダウンロードできませんでした。ボードには何も書き込まれていません。",
+            steps: [
+                "インターネット接続を確認して、もう一度お試しください。",
+                "インターネットのない環境では、<b>設定 → オフラインで使用</b> でバージョンをオフライン保存してください。"
+            ]
+        },
+        checksum: {
+            title: "ダウンロードしたファームウェアが破損しています",
+            summary: "ダウンロードしたファームウェアが公開されたチェックサムと一致しません。ボードには何も書き込まれていません。",
+            steps: [
+                "もう一度お試しください。ファイルは新たにダウンロードされます。",
+                "このバージョンをオフライン保存している場合は、<b>設定 → オフラインで使用</b> で削除してから保存し直してください。"
+            ]
+        },
+        "write-timeout": {
+            title: "書き込みがタイムアウトしました",
+            summary: "速度を下げても、書き込み中にボードが応答しなくなりました。",
+            steps: [
+                "短いデータ通信対応の USB ケーブルを、ハブを使わずにコンピューターへ直接接続してください。",
+                "<b>設定 → 詳細 → 接続設定</b> で、低めの <b>書き込みボーレート</b> を選んでください。",
+                "ディスプレイを接続したボードには、給電能力の高い USB ポートが必要な場合があります。"
+            ]
+        },
+        md5: {
+            title: "検証に失敗しました",
+            summary: "ボード上のデータがファームウェアイメージと一致しません。",
+            steps: [
+                "できれば別の USB ケーブルで、もう一度お試しください。",
+                "<b>設定 → 詳細 → 接続設定</b> で、低めの <b>書き込みボーレート</b> を選んでください。",
+                "同じアドレスで失敗し続ける場合は、フラッシュチップが劣化している可能性があります。"
+            ]
+        },
+        disconnected: {
+            title: "デバイスが切断されました",
+            summary: "ESP デバイスとの接続が失われました。",
+            steps: [
+                "ボードを接続し直して、もう一度お試しください。",
+                "切断の多くはコネクターの緩みや USB ハブが原因です。コンピューターに直接接続してください。"
+            ]
+        },
+        "flash-size": {
+            title: "ファームウェアが収まりません",
+            summary: "このボードのフラッシュメモリはファームウェアに必要な容量より小さいです。",
+            steps: [
+                "4 MB 以上のフラッシュを搭載したボードを選んでください。",
+                "独自のビルドの場合は、<b>ローカルファイルを書き込む</b> でオフセットとファイルサイズを確認してください。"
+            ]
+        },
+        backup: {
+            title: "バックアップが一致しません",
+            summary: "このファイルはこのボードに復元できません。",
+            steps: [
+                "このボードから取得したバックアップを選んでください。サイズがボードのフラッシュと一致している必要があります。",
+                "バックアップは <b>消去前にバックアップ</b> で保存された <b>esptimecast-backup-….bin</b> ファイルです。"
+            ]
+        },
+        layout: {
+            title: "データを保持できません",
+            summary: "このボードのパーティション構成が、アップデートの想定と一致することを確認できませんでした。何も書き込まれていません。",
+            steps: [
+                "設定で <b>すべてのデータを消去</b> を有効にしてから、もう一度お試しください。Wi-Fi と保存済みの設定は消去されます。",
+                "設定を残したい場合は、インストール前にデバイスの Web ページで設定を控えておいてください。"
+            ]
+        },
+        manifest: {
+            title: "ファームウェア一覧を取得できません",
+            summary: "ファームウェアのマニフェストを読み込めないか、内容が正しくありません。",
+            steps: [
+                "インターネット接続を確認して、もう一度お試しください。",
+                "失敗が続く場合は、下の詳細を添えて GitHub でお知らせください。"
+            ]
+        },
+        unknown: {
+            title: "問題が発生しました",
+            summary: "インストーラーが認識できないエラーが発生しました。",
+            steps: [
+                "<b>シリアルモニター</b>が開いていないことを確認してください。",
+                "<b>BOOT</b> を押したままボードを接続し直して、もう一度お試しください。",
+                "繰り返し発生する場合は、<b>設定 → インストール履歴</b> でセッションをエクスポートして、GitHub に issue を作成してください。"
+            ]
+        }
+    },
+
+    unsupported: {
+        chip: "未対応の <strong>{chip}</strong> ボードを検出しました",
+        message: "対応するファームウェアはまだありません。<br />手動インストールの方法は GitHub リポジトリをご覧ください。",
+        cancel: "キャンセル",
+        github: "GitHub リポジトリ",
+        browser: "⚠️ デスクトップ版の Chrome、Edge、Brave が必要です",
+        manualGuide: "手動インストールガイドを見る"
+    },
+
+    incompatible: {
+        title: "互換性のないハードウェア",
+        release: "ESPTimeCast {version} はこの {chip} ボードでは動作しません",
+        localFiles: "これらのファイルはこの {chip} ボードに収まりません",
+        nothingWritten: "ボードには何も書き込まれていません。",
+        close: "閉じる",
+        github: "GitHub リポジトリ"
+    },
+
+    unknown: {
+        title: "未対応のデバイスを検出しました",
+        message: "デバイスは接続されていますが、対応していません。<br /><b>ESP8266</b> または <b>ESP32</b> ボードを選んで、もう一度お試しください。",
+        close: "閉じる"
+    },
+
+    a11y: {
+        chipDetected: "{chip} ボードを検出しました",
+        unknownChip: "ボードを認識できませんでした",
+        progress: "書き込みの進捗",
+        progressValue: "{percent} 書き込み済み"
+    },
+
+    stepper: {
+        label: "インストールの手順",
+        connect: "接続",
+        confirm: "確認",
+        complete: "完了"
+    },
+
+    hints: {
+        boot: "<b>BOOT</b> を押したまま ESP ボードを接続します。<br />離してから「開始」を押してください。",
+        confirm: "ファームウェアを確認して、インストールを開始してください。"
+    },
+
+    footer: {
+        github: "GitHub の ESPTimeCast - ファームウェア、配線図、ドキュメント",
+        reddit: "Reddit の ESPTimeCast コミュニティに参加",
+        support: "ESPTimeCast プロジェクトを支援",
+        case: "ESPTimeCast 公式の 3D プリント用ケース",
+        instagram: "Instagram で M-Factory をフォロー",
+        terminal: "ESPTimeCast デバイスのターミナルとログ",
+        settings: "ESPTimeCast Web インストーラーの設定",
+        language: "言語"
+    },
+
+    settings: {
+        title: "インストーラーの設定",
+        intro: "初期設定では、インストール時に Wi-Fi や保存された設定を含むすべてのデータが消去されます。<br /><br />" +
+            "新規インストールではこの設定をおすすめします。<br /><br />" +
+            "現在の構成を保持したい場合のみ、下のオプションを無効にしてください。<br /><br />" +
+            "消去前にバックアップ を有効にすると、工場出荷状態でのインストールの前にフラッシュ全体のコピーをダウンロードします。書き戻すには バックアップを復元 を使います。<br /><br />" +
+            "ベータ版 を有効にすると、プレリリースのファームウェアもバージョン一覧に表示されます。",
+        eraseAll: "すべてのデータを消去",
+        backupBeforeErase: "消去前にバックアップ",
+        beta: "ベータ版",
+        close: "閉じる",
+        advanced: "詳細: ローカルファイルを書き込む…",
+        restore: "バックアップを復元…",
+        history: "インストール履歴…"
+    },
+
+    offline: {
+        title: "オフラインで使用:",
+        checking: "確認しています…",
+        intro: "オフライン保存したバージョンはこのブラウザーに保存され、インターネットなしでもインストールできます。",
+        unsupported: "このブラウザーでは使用できません",
+        ready: "インストーラーを保存済み",
+        reload: "セットアップを完了するには一度再読み込みしてください",
+        cached: "保存済み、{size}",
+        partial: "{total} ファイル中 {cached} ファイルを保存済み",
+        notCached: "未保存",
+        keep: "オフライン保存",
+        remove: "削除",
+        downloading: "ダウンロードしています…",
+        removing: "削除しています…",
+        storage: "このサイトで使用可能な {quota} のうち {usage} を使用中"
+    },
+
+    history: {
+        title: "インストール履歴",
+        intro: "このブラウザーで行ったインストールを新しい順に表示します。セッションをエクスポートして GitHub の issue に添付できます。",
+        empty: "インストールの記録はまだありません。",
+        clear: "履歴を消去",
+        close: "閉じる",
+        inProgress: "進行中",
+        success: "インストール完了",
+        running: "中断",
+        mode: "モード",
+        parts: "パーツ",
+        baud: "ボーレート",
+        retries: "再試行",
+        duration: "所要時間",
+        seconds: "{count} 秒",
+        error: "エラー",
+        earlierLines: {
+            other: "… それ以前の {count} 行はエクスポートに含まれます"
+        },
+        export: "診断バンドルをエクスポート",
+        delete: "削除"
+    },
+
+    advanced: {
+        title: "ローカルファイルを書き込む",
+        intro: "独自のビルドを任意のオフセットに書き込みます。<b>すべてのデータを消去</b> の設定も適用されます。",
+        dropzone: ".bin ファイルをここにドロップ、または",
+        browse: "ファイルを選択",
+        offsetFor: "{name} の書き込みオフセット",
+        remove: "{name} を削除",
+        connection: "接続設定",
+        connectionIntro: "通常のインストールも含め、すべてのインストールでチップごとの既定値を上書きします。動作が不安定な USB ブリッジでのみ必要です。",
+        baudrate: "書き込みボーレート",
+        connectMode: "接続前のリセット",
+        resetAfter: "書き込み後のリセット",
+        chipDefault: "チップの既定値",
+        modeClassic: "DTR/RTS（従来方式）",
+        modeUsb: "USB-JTAG",
+        modeNone: "なし（BOOT を押したまま）",
+        resetToggle: "DTR を切り替え",
+        resetManual: "しない（RESET を押す）",
+        close: "閉じる",
+        flash: "ファイルを書き込む",
+
+        noFiles: ".bin ファイルを 1 つ以上追加してください。",
+        badOffset: "{name}: オフセット「{offset}」は数値ではありません。",
+        unaligned: "{name}: オフセット {offset} が 4 KB 境界に揃っていません。",
+        empty: "{name}: ファイルが空です。",
+        noMagic: "{name}: ESP イメージのマジックバイト (0xE9) がありませんが、{offset} には起動可能なイメージが必要です。",
+        rawData: "{name}: ESP イメージではないため、そのままのデータとして書き込みます。",
+        overlap: "{first} と {second} が {offset} で重なっています。"
+    },
+
+    layout: {
+        noTable: "ボードに有効なパーティションテーブルが見つかりません。",
+        noApp: "ボードのパーティションテーブルに factory または ota_0 のアプリパーティションがありません。",
+        appTooBig: "ファームウェア ({size}) が「{label}」パーティション ({partitionSize}) より大きいです。",
+        missing: "データパーティション「{label}」({subtype}) がありません。",
+        moved: "「{label}」の位置は {offset} ({size}) ですが、{expectedOffset} ({expectedSize}) が必要です。",
+        notPublished: "アップデートのパーティション構成が公開されていないため、このボードのデータパーティションを確認できません。"
+    },
+
+    errors: {
+        fetchFailed: "ファームウェア {path} を取得できませんでした: {status}",
+        downloadCorrupted: "ダウンロードした {path} が壊れています",
+        flashMismatch: "{offset} のフラッシュ内容が {path} と一致しません",
+        doesNotFit: "{path} ({offset} に {size}) は {flash} のフラッシュに収まりません",
+        backupNoFlashSize: "バックアップできません: フラッシュサイズを検出できませんでした",
+        backupMismatch: "バックアップは {size} ですが、このボードのフラッシュは {flash} です。別のボードから取得したバックアップです",
+        notBackup: "{name} はフラッシュのバックアップではありません（サイズは 4 KB の倍数である必要があります）。"
+    },
+
+    terminal: {
+        label: "デバイスターミナル",
+        connecting: "接続中…",
+        connectFailed: "接続に失敗しました",
+        connected: "ESP ボードに接続しました @{baud}",
+        switching: "{baud} に切り替え中…",
+        reopenFailed: "ポートを再度開けませんでした",
+        waiting: "デバイスを待っています…",
+        reconnectFailed: "再接続に失敗しました。ボードを挿し直してください",
+        disconnected: "切断されました",
+        reset: "リセット",
+        resetTitle: "EN をパルスしてボードを再起動します",
+        bootloader: "ブートローダー",
+        bootloaderTitle: "ROM ダウンロードモードで再起動します",
+        markerBootloader: "ブートローダーモードでリセット",
+        resetFailed: "リセットに失敗しました: {error}",
+        symbolsTitle: "クラッシュのバックトレース解析に使うシンボル",
+        symbolsAuto: "シンボル: 自動",
+        symbolsLoad: "ELF / シンボルファイルを読み込む…",
+        symbolsRejected: "使用できる ELF またはシンボルファイルではありません",
+        symbolsLoaded: "{name} からシンボルを読み込みました",
+        noSymbolFile: "{label}（シンボルファイルは公開されていません）",
+        baudTitle: "ボーレート",
+        close: "ターミナルを閉じる",
+        search: "検索…",
+        searchPrev: "前の一致 (Shift+Enter)",
+        searchNext: "次の一致 (Enter)",
+        noMatches: "一致なし",
+        filter: "フィルター（正規表現）…",
+        filterTitle: "正規表現（大文字と小文字を区別しない）",
+        filterMode: "フィルターの動作",
+        filterInclude: "一致する行を表示",
+        filterExclude: "一致する行を隠す",
+        pause: "一時停止",
+        pauseTitle: "受信は続けたまま表示の更新を止めます",
+        resume: "再開",
+        resumeNew: "再開（新着 {count} 行）",
+        jsonTitle: "JSON インスペクターとグラフ",
+        inputText: "コマンドを送信…",
+        inputHex: "16 進バイト（例: 49 4D 50 52 4F 56）",
+        lineEnding: "改行コード",
+        lineNone: "改行なし",
+        hexTitle: "16 進で書いた生のバイトを送信します",
+        send: "送信",
+        invalidHex: "16 進の入力が正しくありません",
+        sendFailed: "送信に失敗しました",
+        autoscroll: "自動スクロール",
+        timestamps: "タイムスタンプ",
+        timeClock: "時刻",
+        timeElapsed: "接続からの経過時間",
+        timeOff: "タイムスタンプなし",
+        exportTitle: "コピーとダウンロードに含める内容",
+        exportAll: "すべての行をエクスポート",
+        exportView: "フィルター後の表示をエクスポート",
+        clear: "クリア",
+        copy: "コピー",
+        download: "ダウンロード",
+        copied: "ログをクリップボードにコピーしました",
+        copyFailed: "コピーに失敗しました"
+    },
+
+    inspector: {
+        count: {
+            other: "{count} 件のオブジェクト"
+        },
+        csvTitle: "CSV としてダウンロード",
+        ndjsonTitle: "NDJSON としてダウンロード",
+        clear: "クリア",
+        hint: "ツリー内の数値をクリックするとグラフに追加されます。",
+        fields: "グラフにする項目",
+        noFields: "数値の項目はまだありません",
+        noJson: "JSON はまだ受信していません",
+        nothingToExport: "収集された JSON はまだありません",
+        selected: "選択中 · {time}",
+        latest: "最新 · {time}",
+        chart: "{path} をグラフに表示",
+        removeChart: "グラフを削除"
+    }
+};
@@ -0,0 +1,44 @@
+// ================================
+// Manifest checks
+// ================================
+// Every part in manifest.json must be published next to it and carry the
+// SHA-256 and MD5 the installer verifies before and after writing:
+//   node manifest-check.mjs
+// Exits non-zero when a check fails.
+
+import { createHash } from "node:crypto";
+import { readFile } from "node:fs/promises";
+
+const manifestUrl = new URL("./manifest.json", import.meta.url);
+const manifest = JSON.parse(await readFile(manifestUrl, "utf8"));
+
+const problems = [];
+let checked = 0;
+
+for (const release of [manifest, ...(manifest.releases || [])]) {
+    for (const build of release.builds) {
+        for (const part of build.parts) {
+            const where = `v${release.version} ${build.chipFamily} ${part.path}`;
+            checked++;
+            if (!/^[0-9a-f]{64}$/i.test(part.sha256 || "")) problems.push(`${where}: no sha256`);
+            if (!/^[0-9a-f]{32}$/i.test(part.md5 || "")) problems.push(`${where}: no md5`);
+
+            let bytes;
+            try {
+                bytes = await readFile(new URL(part.path, manifestUrl));
+            } catch {
+                problems.push(`${where}: file is not published`);
+                continue;
+            }
+            for (const algorithm of ["sha256", "md5"]) {
+                const expected = part[algorithm]?.toLowerCase();
+                const actual = createHash(algorithm).update(bytes).digest("hex");
+                if (expected && expected !== actual) problems.push(`${where}: ${algorithm} is ${actual}, manifest says ${expected}`);
+            }
+        }
+    }
+}
+
+problems.forEach(p => console.log(`✗ ${p}`));
+console.log(`${checked} parts checked, ${problems.length} problem(s)`);
+process.exitCode = problems.length ? 1 : 0;
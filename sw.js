@@ -0,0 +1,116 @@
+// ================================
+// Service worker: offline installs
+// ================================
+// Keeps the installer itself in a versioned shell cache and serves firmware
+// from the cache the settings modal pins versions into, so a bench without
+// internet can still install. Which versions are pinned is up to the page;
+// this worker only reads the firmware cache.
+
+const SHELL_CACHE = "esptimecast-shell-1.1.1";
+const FIRMWARE_CACHE = "esptimecast-firmware";     // same name as in esptimecast.js
+const RUNTIME_CACHE = "esptimecast-runtime";       // web fonts
+
+const SHELL_FILES = [
+    "./",
+    "index.html",
+    "esptimecast.js",
+    "esptools.js",
+    "improv.js",
+    "crash-decoder.js",
+    "telemetry.js",
+    "install-history.js",
+    "i18n.js",
+    "locales/en.js",
+    "locales/ja.js",
+    "manifest.json",
+    "app.webmanifest",
+    "img/booterror.png",
+    "img/cog.svg",
+    "img/cube.svg",
+    "img/error.png",
+    "img/esp.png",
+    "img/esperror.png",
+    "img/esptimecast.png",
+    "img/github.svg",
+    "img/heart.svg",
+    "img/info.png",
+    "img/instagram.svg",
+    "img/logo.svg",
+    "img/main.png",
+    "img/reddit.svg",
+    "img/terminal.svg"
+];
+
+const FONT_HOSTS = ["fonts.googleapis.com", "fonts.gstatic.com"];
+
+self.addEventListener("install", (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop the shells of earlier installer versions
+self.addEventListener("activate", (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith("esptimecast-shell-") && key !== SHELL_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener("fetch", (event) => {
+    const request = event.request;
+    if (request.method !== "GET" && request.method !== "HEAD") return;
+    const url = new URL(request.url);
+
+    if (url.origin === location.origin && url.pathname.includes("/bins/")) {
+        event.respondWith(firmwareFirst(request));
+    } else if (url.origin === location.origin && request.method === "GET") {
+        event.respondWith(networkFirst(request));
+    } else if (FONT_HOSTS.includes(url.hostname) && request.method === "GET") {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
+
+// Pinned firmware never changes under the same path, so the cache wins.
+// HEAD requests (part sizes) are answered from the cached headers.
+async function firmwareFirst(request) {
+    const cache = await caches.open(FIRMWARE_CACHE);
+    const cached = await cache.match(request.url);
+    if (!cached) return fetch(request);
+    if (request.method === "HEAD") {
+        return new Response(null, { status: cached.status, statusText: cached.statusText, headers: cached.headers });
+    }
+    return cached;
+}
+
+// Online the installer and manifest are always fresh; offline they come from
+// the shell cache, whatever query string (?v=…) is attached
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (err) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw err;
+    }
+}
+
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(RUNTIME_CACHE);
+    const cached = await cache.match(request);
+    const refresh = fetch(request).then(response => {
+        if (response.ok || response.type === "opaque") cache.put(request, response.clone());
+        return response;
+    });
+    if (!cached) return refresh;
+    refresh.catch(() => { });
+    return cached;
+}
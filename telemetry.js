@@ -0,0 +1,99 @@
+// ================================
+// Telemetry from JSON log lines
+// ================================
+// ESPTimeCast prints its weather and sensor readings as JSON objects. The
+// terminal hands every object it parses to a TelemetryLog, which keeps the
+// most recent ones, learns which fields are numeric (so they can be charted)
+// and exports the lot as CSV or NDJSON.
+
+export const TELEMETRY_LIMIT = 1000;
+
+// Path of a child value: "weather.temp", "forecast[0].temp"
+export function childPath(parent, key, isIndex = false) {
+    if (isIndex) return `${parent}[${key}]`;
+    return parent ? `${parent}.${key}` : String(key);
+}
+
+// { "a": { "b": 1 }, "c": [2] } → [["a.b", 1], ["c[0]", 2]]
+export function flattenJson(value, path = "", out = []) {
+    if (Array.isArray(value)) {
+        value.forEach((item, i) => flattenJson(item, childPath(path, i, true), out));
+    } else if (value !== null && typeof value === "object") {
+        for (const [key, item] of Object.entries(value)) flattenJson(item, childPath(path, key), out);
+    } else if (path) {
+        out.push([path, value]);
+    }
+    return out;
+}
+
+export class TelemetryLog {
+    constructor(limit = TELEMETRY_LIMIT) {
+        this.limit = limit;
+        this.clear();
+    }
+
+    clear() {
+        this.records = [];
+        this.fields = new Set();          // every leaf path, in first-seen order
+        this.numericFields = new Set();
+    }
+
+    // Returns the new record, the record that dropped out (if any) and the
+    // numeric fields seen for the first time
+    add(time, data, source = "") {
+        const record = { time, source, data, values: new Map(flattenJson(data)) };
+        const newNumericFields = [];
+        for (const [path, value] of record.values) {
+            this.fields.add(path);
+            if (isNumber(value) && !this.numericFields.has(path)) {
+                this.numericFields.add(path);
+                newNumericFields.push(path);
+            }
+        }
+        this.records.push(record);
+        const evicted = this.records.length > this.limit ? this.records.shift() : null;
+        return { record, evicted, newNumericFields };
+    }
+
+    // [{ time, value }] for every record where `path` holds a number
+    series(path) {
+        const points = [];
+        for (const record of this.records) {
+            const value = record.values.get(path);
+            if (isNumber(value)) points.push({ time: record.time, value });
+        }
+        return points;
+    }
+
+    toNdjson() {
+        return this.records.map(record => JSON.stringify({
+            time: new Date(record.time).toISOString(),
+            source: record.source,
+            data: record.data
+        }) + "\n").join("");
+    }
+
+    // One row per object, one column per leaf path seen in any of them
+    toCsv() {
+        const fields = [...this.fields];
+        const rows = [["time", "source", ...fields].map(csvCell).join(",")];
+        for (const record of this.records) {
+            rows.push([
+                new Date(record.time).toISOString(),
+                record.source,
+                ...fields.map(path => record.values.get(path))
+            ].map(csvCell).join(","));
+        }
+        return rows.join("\r\n") + "\r\n";
+    }
+}
+
+function isNumber(value) {
+    return typeof value === "number" && Number.isFinite(value);
+}
+
+function csvCell(value) {
+    if (value === undefined || value === null) return "";
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}